@@ -0,0 +1,24 @@
+// mail/index.js – picks the transport for outgoing email (invitations, password resets)
+//
+// Every transport exposes:
+//   name
+//   send({ to, subject, text, html }) – resolves once the message is handed off, rejects on failure
+//
+// MAIL_TRANSPORT=console (default) prints messages to the server log; MAIL_TRANSPORT=file writes each
+// one to MAIL_DIR (./data/mail) as JSON; MAIL_TRANSPORT=smtp sends through SMTP_HOST (see ./smtp).
+// MAIL_FROM sets the sender for all of them.
+const MAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+const DEFAULT_MAIL_FROM = 'Facettes <no-reply@localhost>';
+
+function createTransport(name, from) {
+    if (name === 'console') return require('./local').createConsoleTransport({ from });
+    if (name === 'file') return require('./local').createFileTransport({ from });
+    if (name === 'smtp') return require('./smtp').createSmtpTransport({ from });
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${MAIL_TRANSPORTS.join(', ')})`);
+}
+
+function createMailer(name = process.env.MAIL_TRANSPORT || 'console', from = process.env.MAIL_FROM || DEFAULT_MAIL_FROM) {
+    return createTransport(name, from);
+}
+
+module.exports = { createMailer, MAIL_TRANSPORTS };
@@ -0,0 +1,32 @@
+// mail/local.js – transports for development: nothing leaves the machine
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAIL_DIR = './data/mail';
+
+// Prints the whole message, links included, so they can be followed from the server log
+function createConsoleTransport({ from }) {
+    return {
+        name: 'console',
+        async send({ to, subject, text }) {
+            console.log(`✉️  Mail to ${to} (from ${from})\n    Subject: ${subject}\n\n${text}\n`);
+        }
+    };
+}
+
+// One JSON file per message, named so a directory listing sorts oldest first
+function createFileTransport({ from, dir = process.env.MAIL_DIR || DEFAULT_MAIL_DIR }) {
+    return {
+        name: 'file',
+        async send({ to, subject, text, html }) {
+            await fs.mkdir(dir, { recursive: true });
+            const sentAt = new Date().toISOString();
+            const file = path.join(dir, `${sentAt.replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.json`);
+            await fs.writeFile(file, JSON.stringify({ from, to, subject, text, html, sentAt }, null, 2));
+            console.log(`✉️  Mail to ${to} written to ${file}`);
+        }
+    };
+}
+
+module.exports = { createConsoleTransport, createFileTransport, DEFAULT_MAIL_DIR };
@@ -0,0 +1,25 @@
+// mail/smtp.js – sends through an SMTP server with nodemailer
+//
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE (true for implicit TLS, usually port 465),
+//   SMTP_USER and SMTP_PASS (both optional, for servers that don't need auth)
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport({ from, env = process.env }) {
+    if (!env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+    const port = Number(env.SMTP_PORT || 587);
+    const transporter = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port,
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        async send({ to, subject, text, html }) {
+            await transporter.sendMail({ from, to, subject, text, html });
+        }
+    };
+}
+
+module.exports = { createSmtpTransport };
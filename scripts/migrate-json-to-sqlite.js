@@ -0,0 +1,39 @@
+// scripts/migrate-json-to-sqlite.js – copies speakers, content and users from ./data/*.json into SQLite
+//
+//   npm run migrate:sqlite [-- --force]
+//
+// The JSON files are left untouched. Refuses to overwrite a database that already holds
+// speakers or users unless --force is given. Start the server with STORAGE_DRIVER=sqlite afterwards.
+const { createJsonStorage } = require('../storage/json');
+const { createSqliteStorage } = require('../storage/sqlite');
+
+async function main() {
+    const force = process.argv.includes('--force');
+    const source = createJsonStorage();
+    const target = createSqliteStorage();
+
+    const snapshot = {
+        speakers: await source.speakers.all(),
+        content: await source.content.get(),
+        users: await source.users.all()
+    };
+
+    await target.init();
+    try {
+        const existing = (await target.speakers.all()).length + await target.users.count();
+        if (existing && !force) {
+            console.error(`❌ ${target.file} already has data; re-run with --force to replace it`);
+            process.exitCode = 1;
+            return;
+        }
+        await target.replaceAll(snapshot);
+        console.log(`✅ Migrated ${snapshot.speakers.length} speakers, ${Object.keys(snapshot.content).length} content locales and ${snapshot.users.length} users to ${target.file}`);
+    } finally {
+        await target.close();
+    }
+}
+
+main().catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+// scripts/strip-upload-metadata.js – re-encodes images uploaded before variants existed
+//
+//   npm run uploads:strip-metadata [-- --dry-run]
+//
+// New uploads only keep metadata-free resized variants, but older originals in ./uploads still carry
+// their EXIF/GPS data at full size. Each one is rewritten in place, under the same name so speaker
+// records and content keep working: orientation baked in, metadata dropped, at most as wide as the
+// `full` variant. Generated variants and files without metadata that are already small enough are
+// skipped, so it can be re-run. Stop the server first; it updates the width/height of a media record.
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+
+const UPLOADS_DIR = './uploads';
+const MEDIA_FILE = './data/media.json';
+// Keep in step with IMAGE_VARIANTS in server.js
+const VARIANT_PATTERN = /-(?:thumbnail|card|full)\.(?:webp|jpg|png)$/;
+const MAX_WIDTH = 1600;
+const FORMATS = ['jpeg', 'png', 'webp'];
+
+async function readMediaRecords() {
+    try {
+        return JSON.parse(await fs.readFile(MEDIA_FILE, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+}
+
+async function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const names = (await fs.readdir(UPLOADS_DIR)).filter(n => !n.startsWith('.') && !VARIANT_PATTERN.test(n));
+    const records = await readMediaRecords();
+    let rewritten = 0;
+
+    for (const name of names.sort()) {
+        const file = path.join(UPLOADS_DIR, name);
+        let meta;
+        try {
+            meta = await sharp(file).metadata();
+        } catch {
+            continue; // not an image
+        }
+        if (!FORMATS.includes(meta.format)) continue;
+        const hasMetadata = Boolean(meta.exif || meta.xmp || meta.iptc);
+        if (!hasMetadata && meta.width <= MAX_WIDTH) continue;
+
+        console.log(`${dryRun ? '🔎' : '🧹'} ${name}${hasMetadata ? ' (metadata)' : ''}${meta.width > MAX_WIDTH ? ` (${meta.width}px wide)` : ''}`);
+        if (dryRun) continue;
+
+        const temp = `${file}.tmp`;
+        const info = await sharp(file).rotate().resize({ width: MAX_WIDTH, withoutEnlargement: true })
+            .toFormat(meta.format, { quality: 82 }).toFile(temp);
+        await fs.rename(temp, file);
+        rewritten++;
+
+        const record = records.find(r => r.id === name);
+        if (record && record.width) Object.assign(record, { width: info.width, height: info.height });
+    }
+
+    if (rewritten && records.length) {
+        const temp = `${MEDIA_FILE}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(records, null, 2));
+        await fs.rename(temp, MEDIA_FILE);
+    }
+    console.log(dryRun ? '✅ Dry run, nothing changed' : `✅ Rewrote ${rewritten} upload(s)`);
+}
+
+main().catch(err => {
+    console.error('Backfill failed:', err.message);
+    process.exitCode = 1;
+});
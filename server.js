@@ -5,26 +5,98 @@ const path = require('path');
 const multer = require('multer');
 const session = require('express-session');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const compression = require('compression');
+const { createStorage } = require('./storage');
+const { writeJsonAtomic } = require('./storage/json');
+const { createMailer } = require('./mail');
 const app = express();
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
+
+// ==== Storage ====
+// Speakers, content and users go through the repositories in ./storage (JSON files or SQLite, see STORAGE_DRIVER)
+const storage = createStorage();
+
+// Lock names for their read-modify-write cycles, whichever backend is in use
+const SPEAKERS_LOCK = 'speakers';
+const CONTENT_LOCK = 'content';
+const USERS_LOCK = 'users';
+
+// ==== Mail ====
+// Invitations and password resets go out through ./mail (console, file or SMTP, see MAIL_TRANSPORT)
+const mailer = createMailer();
 
 // ==== Paths ====
-const SPEAKERS_FILE = './data/speakers.json';
-const CONTENT_FILE = './data/content.json';
-const USERS_FILE = './data/users.json';
-
-// ==== Admin Credentials (CHANGE THESE!) ====
-// In production, use environment variables or a proper user management system
-const ADMIN_CREDENTIALS = {
-    username: process.env.ADMIN_USERNAME || 'admin',
-    // Password is hashed version of 'changeme123' - CHANGE THIS!
-    passwordHash: process.env.ADMIN_PASSWORD_HASH || '$2b$10$rVK5zJ5fqYQZ5gYxJ5qYTe0vZ5qYTe0vZ5qYTe0vZ5qYTe0vZ5qYTe'
-};
+const INQUIRIES_FILE = './data/inquiries.json';
+const REVISIONS_FILE = './data/revisions.json';
+const TRASH_FILE = './data/trash.json';
+const AUDIT_FILE = './data/audit.log';
+const LOCALES_FILE = './data/locales.json';
+const AVAILABILITY_FILE = './data/availability.json';
+const CALENDAR_FEEDS_FILE = './data/calendar-feeds.json';
+const PREVIEWS_FILE = './data/previews.json';
+const WEBHOOKS_FILE = './data/webhooks.json';
+const WEBHOOK_DELIVERIES_FILE = './data/webhook-deliveries.json';
+const TOPICS_FILE = './data/topics.json';
+const ACCOUNT_TOKENS_FILE = './data/account-tokens.json';
+const MEDIA_FILE = './data/media.json';
+const UPLOADS_DIR = './uploads';
+
+// ==== First Admin Account ====
+// Created when there are no users yet. Without ADMIN_PASSWORD a random password is generated and
+// printed once; either way it has to be changed at first login.
+const SEED_ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
+
+// ==== HTTP Caching ====
+// Responses without an ETag of their own get a strong one hashed from the body, and Express
+// answers 304 by itself when If-None-Match / If-Modified-Since still match (req.fresh).
+// Static files keep serve-static's weak ETag: size + mtime doesn't prove the bytes are the same.
+app.set('etag', 'strong');
+
+// Public reads may be stored but are revalidated every time, so edits show up immediately
+const PUBLIC_CACHE_CONTROL = 'public, no-cache';
+
+function setPublicCaching(res, lastModified = null) {
+    res.set('Cache-Control', PUBLIC_CACHE_CONTROL);
+    if (lastModified) res.set('Last-Modified', lastModified.toUTCString());
+}
+
+// A strong ETag names one exact representation, so a compressed response gets its coding appended
+// ("<hash>-gzip"). Conditional requests have it taken off again to be compared with the plain tag.
+const ETAG_CODING_SUFFIX = /-(?:gzip|deflate|br)"/g;
+
+function etagPerCoding(req, res, next) {
+    for (const header of ['if-none-match', 'if-match']) {
+        if (req.headers[header]) req.headers[header] = req.headers[header].replace(ETAG_CODING_SUFFIX, '"');
+    }
+    // Registered before compression(), so this runs after it has picked the Content-Encoding
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+        const etag = res.getHeader('ETag');
+        const coding = res.getHeader('Content-Encoding');
+        if (coding && coding !== 'identity' && typeof etag === 'string' && !etag.startsWith('W/')) {
+            res.setHeader('ETag', etag.replace(/"$/, `-${coding}"`));
+        }
+        return writeHead.apply(this, args);
+    };
+    next();
+}
 
 // ==== Middleware ====
+app.use(etagPerCoding);
+app.use(compression());
+// Roster imports are bigger than the default 100kb and may be CSV; registered first so the general parser skips them
+app.use('/api/speakers/import', express.json({ limit: '5mb' }), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static('uploads'));
+// Upload names are unique per upload, so browsers can keep them for a while before revalidating
+app.use('/uploads', express.static(UPLOADS_DIR, { maxAge: '7d' }));
 
 // Session middleware for authentication
 app.use(session({
@@ -47,395 +119,4791 @@ function requireAuth(req, res, next) {
     res.status(401).json({ error: 'Unauthorized - Please login' });
 }
 
+// ==== Roles & Permissions ====
+const ROLES = ['owner', 'editor', 'viewer'];
+const ROLE_PERMISSIONS = {
+    owner: ['admin:read', 'speakers:write', 'content:write', 'inquiries:write', 'users:manage', 'locales:manage', 'webhooks:manage', 'media:manage'],
+    editor: ['admin:read', 'speakers:write', 'content:write', 'inquiries:write'],
+    viewer: ['admin:read']
+};
+
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Role is looked up on every request so demotions take effect immediately.
+// Accounts that must change their password can't use anything else until they do.
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        if (!req.session || !req.session.isAuthenticated) {
+            return res.status(401).json({ error: 'Unauthorized - Please login' });
+        }
+        try {
+            const user = await storage.users.get(req.session.username);
+            if (!user) {
+                return res.status(401).json({ error: 'Unauthorized - Please login' });
+            }
+            if (user.mustChangePassword) {
+                return res.status(403).json({ error: 'Password change required', mustChangePassword: true });
+            }
+            if (!hasPermission(user.role, permission)) {
+                return res.status(403).json({ error: 'Forbidden - Insufficient permissions' });
+            }
+            req.user = user;
+            next();
+        } catch (err) {
+            console.error('Permission check error:', err);
+            res.status(500).json({ error: 'Permission check failed' });
+        }
+    };
+}
+
 // ==== File Uploads (Images) ====
-const storage = multer.diskStorage({
-    destination: async (req, file, cb) => {
-        const dir = './uploads';
-        await fs.mkdir(dir, { recursive: true });
-        cb(null, dir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-        cb(null, uniqueSuffix + path.extname(file.originalname));
-    }
-});
+// Kept in memory: the original is checked and re-encoded, never written to disk as-is
 const upload = multer({
-    storage,
+    storage: multer.memoryStorage(),
     limits: { fileSize: 5 * 1024 * 1024 },
     fileFilter: (req, file, cb) => {
-        const allowed = /jpeg|jpg|png|gif/;
+        const allowed = /jpeg|jpg|png|gif|webp/;
         const ok = allowed.test(path.extname(file.originalname).toLowerCase()) && allowed.test(file.mimetype);
         if (ok) cb(null, true);
         else cb(new Error('Only image files are allowed!'));
     }
 });
 
+// Widths in px; images smaller than a variant are not enlarged
+const IMAGE_VARIANTS = { thumbnail: 200, card: 600, full: 1600 };
+
+// Identify the real format from the file header instead of trusting name/mimetype
+function detectImageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+    if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'gif';
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+// Writes <base>-<variant>.webp plus a JPEG (or PNG when transparent) fallback for each variant.
+// Sharp drops EXIF/GPS metadata on output; rotate() first bakes in the EXIF orientation.
+// Originals uploaded before this are cleaned with `npm run uploads:strip-metadata`.
+async function processImageUpload(buffer) {
+    await fs.mkdir(UPLOADS_DIR, { recursive: true });
+    const base = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    const { hasAlpha } = await sharp(buffer).metadata();
+    const fallback = hasAlpha ? { format: 'png', ext: 'png', type: 'image/png' } : { format: 'jpeg', ext: 'jpg', type: 'image/jpeg' };
+    const written = [];
+    const variants = {};
+
+    try {
+        for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+            const resized = sharp(buffer).rotate().resize({ width, withoutEnlargement: true });
+            const webpName = `${base}-${name}.webp`;
+            const fallbackName = `${base}-${name}.${fallback.ext}`;
+
+            written.push(webpName);
+            const info = await resized.clone().webp({ quality: 80 }).toFile(path.join(UPLOADS_DIR, webpName));
+            written.push(fallbackName);
+            await resized.clone().toFormat(fallback.format, { quality: 82 }).toFile(path.join(UPLOADS_DIR, fallbackName));
+
+            variants[name] = {
+                width: info.width,
+                height: info.height,
+                webp: `/uploads/${webpName}`,
+                fallback: `/uploads/${fallbackName}`,
+                fallbackType: fallback.type
+            };
+        }
+    } catch (err) {
+        await Promise.all(written.map(name => fs.unlink(path.join(UPLOADS_DIR, name)).catch(() => {})));
+        throw err;
+    }
+
+    return variants;
+}
+
 // ==== Initialize Data ====
 async function ensureDataFiles() {
     await fs.mkdir('./data', { recursive: true });
-    try { await fs.access(SPEAKERS_FILE); } catch { await fs.writeFile(SPEAKERS_FILE, '[]'); }
-    try { await fs.access(CONTENT_FILE); } catch { await fs.writeFile(CONTENT_FILE, JSON.stringify({ en: {}, fr: {} }, null, 2)); }
+    await storage.init();
+    try { await fs.access(INQUIRIES_FILE); } catch { await fs.writeFile(INQUIRIES_FILE, '[]'); }
+    try { await fs.access(REVISIONS_FILE); } catch { await fs.writeFile(REVISIONS_FILE, '[]'); }
+    try { await fs.access(TRASH_FILE); } catch { await fs.writeFile(TRASH_FILE, '[]'); }
+    try { await fs.access(AUDIT_FILE); } catch { await fs.writeFile(AUDIT_FILE, ''); }
+    try { await fs.access(AVAILABILITY_FILE); } catch { await fs.writeFile(AVAILABILITY_FILE, '[]'); }
+    try { await fs.access(CALENDAR_FEEDS_FILE); } catch { await fs.writeFile(CALENDAR_FEEDS_FILE, '{}'); }
+    try { await fs.access(PREVIEWS_FILE); } catch { await fs.writeFile(PREVIEWS_FILE, '[]'); }
+    try { await fs.access(WEBHOOKS_FILE); } catch { await fs.writeFile(WEBHOOKS_FILE, '[]'); }
+    try { await fs.access(WEBHOOK_DELIVERIES_FILE); } catch { await fs.writeFile(WEBHOOK_DELIVERIES_FILE, '[]'); }
+    try { await fs.access(ACCOUNT_TOKENS_FILE); } catch { await fs.writeFile(ACCOUNT_TOKENS_FILE, '[]'); }
+    try { await fs.access(MEDIA_FILE); } catch { await fs.writeFile(MEDIA_FILE, '[]'); }
+    try { await fs.access(LOCALES_FILE); } catch { await fs.writeFile(LOCALES_FILE, JSON.stringify(DEFAULT_LOCALES, null, 2)); }
+    locales = JSON.parse(await fs.readFile(LOCALES_FILE, 'utf8'));
+    localesModifiedAt = (await fs.stat(LOCALES_FILE)).mtime;
     
-    // Initialize users file with default admin if doesn't exist
-    try { 
-        await fs.access(USERS_FILE); 
-    } catch { 
-        const defaultHash = await bcrypt.hash('changeme123', 10);
-        await fs.writeFile(USERS_FILE, JSON.stringify([{
-            username: 'admin',
-            passwordHash: defaultHash,
-            createdAt: new Date().toISOString()
-        }], null, 2));
-        console.log('⚠️  Default admin user created. Username: admin, Password: changeme123');
-        console.log('⚠️  PLEASE CHANGE THE PASSWORD IMMEDIATELY!');
+    // Create the first admin when there are no users yet
+    if (!(await storage.users.count())) {
+        const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+        await storage.users.create({
+            username: SEED_ADMIN_USERNAME,
+            passwordHash: await bcrypt.hash(password, 10),
+            role: 'owner',
+            createdAt: new Date().toISOString(),
+            mustChangePassword: true
+        });
+        console.log(`⚠️  First admin user created. Username: ${SEED_ADMIN_USERNAME}` +
+            (process.env.ADMIN_PASSWORD ? ' (password from ADMIN_PASSWORD)' : `, Password: ${password}`));
+        console.log('⚠️  A new password has to be chosen at first login.');
+    }
+
+    // Users created before roles existed: the oldest account becomes owner, the rest editors
+    const users = await storage.users.all();
+    if (users.some(u => !ROLES.includes(u.role))) {
+        const hasOwner = users.some(u => u.role === 'owner');
+        const oldest = [...users].sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))[0];
+        for (const u of users) {
+            if (ROLES.includes(u.role)) continue;
+            u.role = (!hasOwner && u === oldest) ? 'owner' : 'editor';
+            await storage.users.update(u);
+        }
+        console.log('🔑 Assigned roles to existing users');
+    }
+
+    // Speakers created before profile pages existed get a slug
+    const speakers = await storage.speakers.all();
+    if (speakers.some(s => !s.slug)) {
+        const owners = await slugOwners(speakers);
+        const missing = speakers.filter(s => !s.slug);
+        missing.forEach(s => assignSlug(s, owners));
+        await storage.speakers.upsertMany(missing);
+        console.log('🔗 Assigned profile slugs to existing speakers');
     }
-}
 
-// ==== Cache System ====
-let speakersCache = null;
-let speakersTimestamp = 0;
-let contentCache = null;
-let contentTimestamp = 0;
-const CACHE_TTL = 1000 * 60; // 1 min
+    // Speakers created before publishing states existed were already public
+    const unpublished = (await storage.speakers.all()).filter(s => !s.status);
+    if (unpublished.length) {
+        unpublished.forEach(s => Object.assign(s, { status: 'published', publishAt: '', unpublishAt: '' }));
+        await storage.speakers.upsertMany(unpublished);
+        console.log('📢 Marked existing speakers as published');
+    }
 
-async function readCached(file, cacheRef, timestampRef) {
-    const stats = await fs.stat(file);
-    const modified = stats.mtimeMs;
-    if (!cacheRef.value || modified > timestampRef.value || Date.now() - timestampRef.value > CACHE_TTL) {
-        const data = await fs.readFile(file, 'utf8');
-        cacheRef.value = JSON.parse(data);
-        timestampRef.value = Date.now();
-        console.log(`🧠 Cache refreshed: ${path.basename(file)}`);
+    // Topics were free text before the registry: register the ones in use, then tag speakers by id
+    try { await fs.access(TOPICS_FILE); } catch {
+        await writeJsonAtomic(TOPICS_FILE, topicsFromSpeakers(await storage.speakers.all()));
+    }
+    const untagged = (await storage.speakers.all()).filter(s => !s.topicIds);
+    if (untagged.length) {
+        const topics = await readTopics();
+        await storage.speakers.upsertMany(untagged.map(s => retagStoredSpeaker(s, topics)));
+        console.log('🏷️  Tagged existing speakers with topic ids');
     }
-    return cacheRef.value;
 }
 
-async function readSpeakersCached() {
-    return readCached(SPEAKERS_FILE, { value: speakersCache }, { value: speakersTimestamp });
+// ==== Locales ====
+// Registered in LOCALES_FILE; each locale lists the locales to fall back to when one of its values is empty.
+// Base-locale speaker fields have no suffix (`name`), every other locale uses `name_<code>`.
+const BASE_LOCALE = 'en';
+const DEFAULT_LOCALES = [
+    { code: 'en', name: 'English', fallback: [] },
+    { code: 'fr', name: 'Français', fallback: ['en'] }
+];
+const LOCALE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+let locales = DEFAULT_LOCALES;
+let localesModifiedAt = null;
+
+function localeCodes() {
+    return locales.map(l => l.code);
 }
-async function writeSpeakersCached(data) {
-    speakersCache = data;
-    speakersTimestamp = Date.now();
-    await fs.writeFile(SPEAKERS_FILE, JSON.stringify(data, null, 2));
+
+function isLocale(code) {
+    return localeCodes().includes(code);
 }
-async function readContentCached() {
-    return readCached(CONTENT_FILE, { value: contentCache }, { value: contentTimestamp });
+
+function localeFieldKey(field, code) {
+    return code === BASE_LOCALE ? field : `${field}_${code}`;
 }
-async function writeContentCached(data) {
-    contentCache = data;
-    contentTimestamp = Date.now();
-    await fs.writeFile(CONTENT_FILE, JSON.stringify(data, null, 2));
+
+// The locale itself, then exactly its configured fallbacks — registered codes only, no repeats.
+// A locale configured without fallbacks shows its own empty values rather than another language.
+function fallbackChain(code) {
+    const locale = locales.find(l => l.code === code);
+    const chain = [code, ...(locale ? locale.fallback : [])];
+    return chain.filter((c, i) => isLocale(c) && chain.indexOf(c) === i);
 }
 
-// ==== AUTHENTICATION ROUTES ====
-app.post('/api/auth/login', async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Username and password required' });
-        }
+function hasValue(value) {
+    return Array.isArray(value) ? value.length > 0 : typeof value === 'string' && value.trim() !== '';
+}
 
-        // Read users from file
-        const usersData = await fs.readFile(USERS_FILE, 'utf8');
-        const users = JSON.parse(usersData);
-        
-        // Find user
-        const user = users.find(u => u.username === username);
-        
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
+// First non-empty value along the fallback chain
+function localizedField(speaker, field, lang) {
+    const code = fallbackChain(lang).find(c => hasValue(speaker[localeFieldKey(field, c)]));
+    return speaker[localeFieldKey(field, code || BASE_LOCALE)];
+}
 
-        // Verify password
-        const isValid = await bcrypt.compare(password, user.passwordHash);
-        
-        if (!isValid) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-        }
+// Public shape for one locale: localized fields resolved under their plain names, other locales' copies dropped.
+// `fallbacks` names the fields that came from another locale.
+function localizeSpeaker(speaker, lang) {
+    const localizedKeys = new Set(Object.keys(SPEAKER_LOCALIZED_FIELDS)
+        .flatMap(field => localeCodes().map(code => localeFieldKey(field, code))));
+    const result = Object.fromEntries(Object.entries(speaker).filter(([key]) => !localizedKeys.has(key)));
+    const fallbacks = {};
 
-        // Set session
-        req.session.isAuthenticated = true;
-        req.session.username = username;
-        
-        res.json({ 
-            success: true, 
-            message: 'Login successful',
-            username: username 
-        });
-    } catch (err) {
-        console.error('Login error:', err);
-        res.status(500).json({ error: 'Login failed' });
+    for (const field of Object.keys(SPEAKER_LOCALIZED_FIELDS)) {
+        const code = fallbackChain(lang).find(c => hasValue(speaker[localeFieldKey(field, c)]));
+        result[field] = code ? speaker[localeFieldKey(field, code)] : speaker[field];
+        if (code && code !== lang) fallbacks[field] = code;
     }
-});
 
-app.post('/api/auth/logout', (req, res) => {
-    req.session.destroy((err) => {
-        if (err) {
-            return res.status(500).json({ error: 'Logout failed' });
-        }
-        res.json({ success: true, message: 'Logged out successfully' });
-    });
-});
+    return { ...result, lang, fallbacks };
+}
 
-app.get('/api/auth/check', (req, res) => {
-    if (req.session && req.session.isAuthenticated) {
-        res.json({ 
-            authenticated: true, 
-            username: req.session.username 
-        });
-    } else {
-        res.json({ authenticated: false });
+// Flat key → string map for one locale; `fallbacks` names the keys that came from another locale
+function resolveContent(content, lang) {
+    const chain = fallbackChain(lang);
+    const values = {};
+    const fallbacks = {};
+
+    for (const key of CONTENT_KEYS) {
+        const code = chain.find(c => content[c] && hasValue(content[c][key]));
+        values[key] = code ? content[code][key] : '';
+        if (code && code !== lang) fallbacks[key] = code;
     }
-});
 
-// Change password (requires authentication)
-app.post('/api/auth/change-password', requireAuth, async (req, res) => {
-    try {
-        const { currentPassword, newPassword } = req.body;
-        
-        if (!currentPassword || !newPassword) {
-            return res.status(400).json({ error: 'Current and new password required' });
-        }
+    return { lang, chain, content: values, fallbacks };
+}
 
-        if (newPassword.length < 8) {
-            return res.status(400).json({ error: 'New password must be at least 8 characters' });
-        }
+// ==== Schemas & Validation ====
+// Each field: { type: 'string' | 'array' | 'number', maxLength } — arrays hold strings, maxLength applies per item;
+// numbers take { min, max } and may be null. Fields are public unless marked `internal: true` (see publicSpeaker)
+const SPEAKER_LOCALIZED_FIELDS = {
+    name: { type: 'string', maxLength: 200 },
+    title: { type: 'string', maxLength: 300 },
+    bio: { type: 'string', maxLength: 10000 },
+    topics: { type: 'array', maxItems: 30, maxLength: 100 },
+    keyTopics: { type: 'array', maxItems: 20, maxLength: 300 }
+};
+const SPEAKER_SHARED_FIELDS = {
+    image: { type: 'string', maxLength: 500 },
+    // Ids from the topic registry; the localized `topics` lists are derived from them (see applyTopicLabels)
+    topicIds: { type: 'array', maxItems: 30, maxLength: 100 }
+};
+// Publishing state; the times are ISO 8601 strings (stored in UTC) or empty
+const SPEAKER_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+const SPEAKER_PUBLISHING_FIELDS = {
+    status: { type: 'string', maxLength: 20, default: 'draft', internal: true },
+    publishAt: { type: 'string', maxLength: 40, internal: true },
+    unpublishAt: { type: 'string', maxLength: 40, internal: true }
+};
+// Booking details for the team; fees are whole dollars. Visitors only see the derived feeBand
+const SPEAKER_INTERNAL_FIELDS = {
+    feeMin: { type: 'number', min: 0, max: 10000000, default: null, internal: true },
+    feeMax: { type: 'number', min: 0, max: 10000000, default: null, internal: true },
+    travelRequirements: { type: 'string', maxLength: 2000, internal: true },
+    agentName: { type: 'string', maxLength: 200, internal: true },
+    agentEmail: { type: 'string', maxLength: 254, internal: true },
+    agentPhone: { type: 'string', maxLength: 50, internal: true },
+    internalNotes: { type: 'string', maxLength: 10000, internal: true }
+};
 
-        const usersData = await fs.readFile(USERS_FILE, 'utf8');
-        const users = JSON.parse(usersData);
-        
-        const userIndex = users.findIndex(u => u.username === req.session.username);
-        
-        if (userIndex === -1) {
-            return res.status(404).json({ error: 'User not found' });
-        }
+// Localized fields exist once per registered locale, so the schema follows the registry
+function speakerSchema() {
+    const schema = {};
+    for (const [field, rule] of Object.entries(SPEAKER_LOCALIZED_FIELDS)) {
+        for (const code of localeCodes()) schema[localeFieldKey(field, code)] = rule;
+    }
+    return { ...schema, ...SPEAKER_SHARED_FIELDS, ...SPEAKER_PUBLISHING_FIELDS, ...SPEAKER_INTERNAL_FIELDS };
+}
 
-        // Verify current password
-        const isValid = await bcrypt.compare(currentPassword, users[userIndex].passwordHash);
-        
-        if (!isValid) {
-            return res.status(401).json({ error: 'Current password is incorrect' });
-        }
+// Fields the server owns; tolerated in request bodies but never taken from them
+const SPEAKER_READONLY_FIELDS = ['id', 'slug', 'visibility', 'feeBand'];
 
-        // Hash new password
-        const newHash = await bcrypt.hash(newPassword, 10);
-        users[userIndex].passwordHash = newHash;
-        users[userIndex].passwordChangedAt = new Date().toISOString();
-        
-        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
-        
-        res.json({ success: true, message: 'Password changed successfully' });
-    } catch (err) {
-        console.error('Password change error:', err);
-        res.status(500).json({ error: 'Failed to change password' });
-    }
-});
+const CONTENT_KEYS = [
+    'siteName', 'navSpeakers', 'navAbout', 'navContact', 'heroTitle', 'heroSubtitle',
+    'searchPlaceholder', 'filterAll', 'loading', 'loadMore', 'noResultsTitle', 'noResultsText',
+    'keyTopicsTitle', 'bookButton', 'bookMessage',
+    'services_heading', 'services_subtext',
+    'service_1_title', 'service_1_description', 'service_2_title', 'service_2_description',
+    'service_3_title', 'service_3_description',
+    'contact_heading', 'contact_tagline', 'form_name', 'form_email', 'form_event', 'form_details',
+    'form_submit', 'contact_response_time',
+    'ctaTitle', 'ctaText', 'ctaButton', 'footerCopyright', 'footerContact'
+];
+const CONTENT_SCHEMA = Object.fromEntries(CONTENT_KEYS.map(key => [key, { type: 'string', maxLength: 5000 }]));
 
-// ==== USER MANAGEMENT API (Add these routes to server.js after the auth routes) ====
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-// Get all users (excluding password hashes)
-app.get('/api/users', requireAuth, async (req, res) => {
-    try {
-        const usersData = await fs.readFile(USERS_FILE, 'utf8');
-        const users = JSON.parse(usersData);
-        
-        // Remove password hashes before sending
-        const sanitizedUsers = users.map(u => ({
-            username: u.username,
-            createdAt: u.createdAt,
-            passwordChangedAt: u.passwordChangedAt,
-            lastLogin: u.lastLogin
-        }));
-        
-        res.json(sanitizedUsers);
-    } catch (err) {
-        console.error('Get users error:', err);
-        res.status(500).json({ error: 'Failed to get users' });
-    }
-});
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
-// Create new user
-app.post('/api/users', requireAuth, async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Username and password required' });
-        }
-        
-        if (password.length < 8) {
-            return res.status(400).json({ error: 'Password must be at least 8 characters' });
-        }
-        
-        if (!/^[a-zA-Z0-9_-]+$/.test(username)) {
-            return res.status(400).json({ error: 'Username can only contain letters, numbers, underscores, and hyphens' });
-        }
-        
-        const usersData = await fs.readFile(USERS_FILE, 'utf8');
-        const users = JSON.parse(usersData);
-        
-        // Check if username already exists
-        if (users.find(u => u.username === username)) {
-            return res.status(400).json({ error: 'Username already exists' });
-        }
-        
-        // Hash password
-        const passwordHash = await bcrypt.hash(password, 10);
-        
-        // Create new user
-        const newUser = {
-            username,
-            passwordHash,
-            createdAt: new Date().toISOString(),
-            createdBy: req.session.username
-        };
-        
-        users.push(newUser);
-        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
-        
-        // Return user without password hash
-        res.status(201).json({
-            username: newUser.username,
-            createdAt: newUser.createdAt,
-            createdBy: newUser.createdBy
-        });
-    } catch (err) {
-        console.error('Create user error:', err);
-        res.status(500).json({ error: 'Failed to create user' });
-    }
-});
+// Returns { value, errors } — value holds trimmed, whitelisted fields; errors maps field → message
+function validateFields(input, schema, { ignore = [], prefix = '' } = {}) {
+    const value = {};
+    const errors = {};
 
-// Delete user
-app.delete('/api/users/:username', requireAuth, async (req, res) => {
-    try {
-        const { username } = req.params;
-        
-        // Prevent deleting yourself
-        if (username === req.session.username) {
-            return res.status(400).json({ error: 'Cannot delete your own account' });
-        }
-        
-        const usersData = await fs.readFile(USERS_FILE, 'utf8');
-        const users = JSON.parse(usersData);
-        
-        // Don't allow deleting the last user
-        if (users.length <= 1) {
-            return res.status(400).json({ error: 'Cannot delete the last user' });
-        }
-        
-        const filteredUsers = users.filter(u => u.username !== username);
-        
-        if (filteredUsers.length === users.length) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-        
-        await fs.writeFile(USERS_FILE, JSON.stringify(filteredUsers, null, 2));
-        
-        res.json({ success: true, message: 'User deleted successfully' });
-    } catch (err) {
-        console.error('Delete user error:', err);
-        res.status(500).json({ error: 'Failed to delete user' });
+    if (!isPlainObject(input)) {
+        errors[prefix.replace(/\.$/, '') || '_'] = 'Must be an object';
+        return { value, errors };
     }
-});
 
-// Reset user password (admin only)
-app.post('/api/users/:username/reset-password', requireAuth, async (req, res) => {
-    try {
-        const { username } = req.params;
-        const { newPassword } = req.body;
-        
-        if (!newPassword) {
-            return res.status(400).json({ error: 'New password required' });
-        }
-        
-        if (newPassword.length < 8) {
-            return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    for (const [key, raw] of Object.entries(input)) {
+        if (ignore.includes(key)) continue;
+        const rule = schema[key];
+        const field = prefix + key;
+
+        if (!rule) {
+            errors[field] = 'Unknown field';
+            continue;
         }
-        
-        const usersData = await fs.readFile(USERS_FILE, 'utf8');
-        const users = JSON.parse(usersData);
-        
-        const userIndex = users.findIndex(u => u.username === username);
-        
-        if (userIndex === -1) {
-            return res.status(404).json({ error: 'User not found' });
+
+        if (rule.type === 'string') {
+            if (typeof raw !== 'string') {
+                errors[field] = 'Must be a string';
+                continue;
+            }
+            const trimmed = raw.trim();
+            if (trimmed.length > rule.maxLength) {
+                errors[field] = `Must be at most ${rule.maxLength} characters`;
+                continue;
+            }
+            value[key] = trimmed;
+        } else if (rule.type === 'array') {
+            if (!Array.isArray(raw)) {
+                errors[field] = 'Must be a list';
+                continue;
+            }
+            if (raw.length > rule.maxItems) {
+                errors[field] = `Must have at most ${rule.maxItems} items`;
+                continue;
+            }
+            if (raw.some(item => typeof item !== 'string')) {
+                errors[field] = 'Every item must be a string';
+                continue;
+            }
+            const items = raw.map(item => item.trim()).filter(item => item);
+            if (items.some(item => item.length > rule.maxLength)) {
+                errors[field] = `Each item must be at most ${rule.maxLength} characters`;
+                continue;
+            }
+            value[key] = items;
+        } else if (rule.type === 'number') {
+            if (raw === null || raw === '') {
+                value[key] = null;
+                continue;
+            }
+            if (typeof raw !== 'number' || !Number.isFinite(raw)) {
+                errors[field] = 'Must be a number';
+                continue;
+            }
+            if (raw < rule.min || raw > rule.max) {
+                errors[field] = `Must be between ${rule.min} and ${rule.max}`;
+                continue;
+            }
+            value[key] = raw;
         }
-        
-        // Hash new password
-        const passwordHash = await bcrypt.hash(newPassword, 10);
-        users[userIndex].passwordHash = passwordHash;
-        users[userIndex].passwordChangedAt = new Date().toISOString();
-        users[userIndex].passwordResetBy = req.session.username;
-        
-        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
-        
-        res.json({ success: true, message: 'Password reset successfully' });
-    } catch (err) {
-        console.error('Reset password error:', err);
-        res.status(500).json({ error: 'Failed to reset password' });
     }
-});
 
-// ==== PUBLIC SPEAKERS API (No auth required) ====
-app.get('/api/speakers', async (req, res) => {
-    const speakers = await readSpeakersCached();
-    res.json(speakers);
-});
+    return { value, errors };
+}
 
-app.get('/api/speakers/:id', async (req, res) => {
-    const speakers = await readSpeakersCached();
-    const s = speakers.find(sp => sp.id === parseInt(req.params.id));
-    if (!s) return res.status(404).json({ error: 'Speaker not found' });
-    res.json(s);
-});
+// Checks each field on its own; run speakerRecordErrors() on the merged record before saving
+function validateSpeaker(input) {
+    const { value, errors } = validateFields(input, speakerSchema(), { ignore: SPEAKER_READONLY_FIELDS });
 
-// ==== PROTECTED SPEAKERS API (Auth required) ====
-app.post('/api/speakers', requireAuth, async (req, res) => {
-    const speakers = await readSpeakersCached();
-    const newSpeaker = {
-        id: speakers.length ? Math.max(...speakers.map(s => s.id)) + 1 : 1,
-        ...req.body
-    };
-    speakers.push(newSpeaker);
-    await writeSpeakersCached(speakers);
-    res.status(201).json(newSpeaker);
-});
+    if (value.status !== undefined && !SPEAKER_STATUSES.includes(value.status)) {
+        errors.status = `Must be one of: ${SPEAKER_STATUSES.join(', ')}`;
+    }
+    for (const field of ['publishAt', 'unpublishAt']) {
+        if (!value[field]) continue;
+        const time = Date.parse(value[field]);
+        if (Number.isNaN(time)) errors[field] = 'Must be an ISO 8601 date and time';
+        else value[field] = new Date(time).toISOString();
+    }
+    if (value.agentEmail && !EMAIL_PATTERN.test(value.agentEmail)) {
+        errors.agentEmail = 'Must be a valid email address';
+    }
 
-app.put('/api/speakers/:id', requireAuth, async (req, res) => {
-    const speakers = await readSpeakersCached();
-    const index = speakers.findIndex(s => s.id === parseInt(req.params.id));
-    if (index === -1) return res.status(404).json({ error: 'Speaker not found' });
-    speakers[index] = { ...speakers[index], ...req.body, id: speakers[index].id };
-    await writeSpeakersCached(speakers);
-    res.json(speakers[index]);
-});
+    return { value, errors };
+}
 
-app.delete('/api/speakers/:id', requireAuth, async (req, res) => {
-    const speakers = await readSpeakersCached();
-    const filtered = speakers.filter(s => s.id !== parseInt(req.params.id));
-    if (filtered.length === speakers.length) return res.status(404).json({ error: 'Not found' });
-    await writeSpeakersCached(filtered);
-    res.json({ message: 'Deleted' });
-});
+// Rules that span several fields
+function speakerRecordErrors(speaker) {
+    const errors = {};
+    if (speaker.status === 'scheduled' && !speaker.publishAt) {
+        errors.publishAt = 'Required when the status is scheduled';
+    }
+    if (speaker.publishAt && speaker.unpublishAt && speaker.unpublishAt <= speaker.publishAt) {
+        errors.unpublishAt = 'Must be after publishAt';
+    }
+    if (typeof speaker.feeMin === 'number' && typeof speaker.feeMax === 'number' && speaker.feeMax < speaker.feeMin) {
+        errors.feeMax = 'Must be at least feeMin';
+    }
+    return errors;
+}
 
-// ==== PUBLIC CONTENT API (No auth required for reading) ====
-app.get('/api/content', async (req, res) => {
-    const content = await readContentCached();
-    res.json(content);
-});
+// Blank values for every schema field, so new records always have the full shape
+function emptySpeaker() {
+    return Object.fromEntries(Object.entries(speakerSchema())
+        .map(([key, rule]) => [key, rule.default !== undefined ? rule.default : rule.type === 'array' ? [] : '']));
+}
+
+// Price hint shown to visitors, from feeMin (or feeMax when only that is set); null without a fee
+const FEE_BANDS = [
+    { band: '$', upTo: 5000 },
+    { band: '$$', upTo: 15000 },
+    { band: '$$$', upTo: Infinity }
+];
+
+function feeBand(speaker) {
+    const fee = typeof speaker.feeMin === 'number' ? speaker.feeMin : speaker.feeMax;
+    if (typeof fee !== 'number') return null;
+    return FEE_BANDS.find(b => fee <= b.upTo).band;
+}
+
+// What the public API returns: an allowlist of id, slug, the schema's public fields and the fee band,
+// so anything else stored on the record stays private
+function publicSpeaker(speaker) {
+    const result = { id: speaker.id, slug: speaker.slug };
+    for (const [key, rule] of Object.entries(speakerSchema())) {
+        if (!rule.internal && speaker[key] !== undefined) result[key] = speaker[key];
+    }
+    result.feeBand = feeBand(speaker);
+    return result;
+}
+
+function validateContent(input) {
+    const value = {};
+    const errors = {};
+
+    if (!isPlainObject(input)) {
+        return { value, errors: { _: 'Must be an object' } };
+    }
+
+    for (const [lang, strings] of Object.entries(input)) {
+        if (!isLocale(lang)) {
+            errors[lang] = 'Unknown language';
+            continue;
+        }
+        const result = validateFields(strings, CONTENT_SCHEMA, { prefix: `${lang}.` });
+        value[lang] = result.value;
+        Object.assign(errors, result.errors);
+    }
+
+    return { value, errors };
+}
+
+function sendValidationErrors(res, errors) {
+    res.status(400).json({ error: 'Validation failed', fields: errors });
+}
+
+// ==== Atomic Writes & File Locks ====
+const fileLocks = new Map();
+
+// Per-file (or per-repository, see SPEAKERS_LOCK…) async mutex: resolves with a release function once earlier holders are done.
+// Hold it across the whole read-modify-write so concurrent requests can't interleave.
+// writeJsonAtomic comes from storage/json.js.
+function lockFile(file) {
+    const previous = fileLocks.get(file) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const chained = previous.then(() => current);
+    fileLocks.set(file, chained);
+    return previous.then(() => () => {
+        if (fileLocks.get(file) === chained) fileLocks.delete(file);
+        release();
+    });
+}
+
+// ==== ETags & Optimistic Concurrency ====
+function etagFor(value) {
+    return '"' + crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex') + '"';
+}
+
+// True unless the client's If-Match names the stored record (or is "*"). Writes must say which
+// version they were based on, so a missing If-Match counts as stale too.
+function isStale(req, current) {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) return true;
+    if (ifMatch.trim() === '*') return false;
+    const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    return !tags.includes(etagFor(current));
+}
+
+// 428 when the write carried no If-Match at all, 409 when it was based on an older version
+function sendConflict(res, current) {
+    res.set('ETag', etagFor(current));
+    if (!res.req.get('If-Match')) {
+        return res.status(428).json({ error: 'If-Match header required. Load the record first and send its ETag.' });
+    }
+    res.status(409).json({ error: 'This record was changed by someone else since you loaded it. Reload to see the latest version.' });
+}
+
+// ==== Revision History ====
+// Lock order when several files are involved: speakers/content → trash → revisions → availability → calendar feeds
+async function readRevisions() {
+    const data = await fs.readFile(REVISIONS_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+// Field-level diff; nested objects (content languages) are compared one level deeper as "lang.key"
+function diffObjects(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const key of keys) {
+        const from = before ? before[key] : undefined;
+        const to = after ? after[key] : undefined;
+        if (!prefix && (isPlainObject(from) || isPlainObject(to))) {
+            changes.push(...diffObjects(from, to, `${key}.`));
+        } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field: prefix + key, from: from === undefined ? null : from, to: to === undefined ? null : to });
+        }
+    }
+    return changes;
+}
+
+// snapshot is the full state after the change (null for deletions)
+async function recordRevision(change) {
+    const [revision] = await recordRevisions([change]);
+    return revision || null;
+}
+
+// Several changes in one write (bulk import); unchanged entries are skipped.
+// Each recorded change is also sent to the webhooks subscribed to it.
+async function recordRevisions(changes) {
+    const pending = changes
+        .map(change => ({ ...change, diff: diffObjects(change.before, change.after) }))
+        .filter(change => change.diff.length);
+    if (!pending.length) return [];
+
+    let added;
+    const release = await lockFile(REVISIONS_FILE);
+    try {
+        const revisions = await readRevisions();
+        let nextId = revisions.length ? Math.max(...revisions.map(r => r.id)) + 1 : 1;
+        const timestamp = new Date().toISOString();
+        added = pending.map(({ entity, entityId = null, action, author, after, diff }) => ({
+            id: nextId++,
+            entity,
+            entityId,
+            action,
+            author: author || null,
+            timestamp,
+            diff,
+            snapshot: after || null
+        }));
+        revisions.push(...added);
+        await writeJsonAtomic(REVISIONS_FILE, revisions);
+    } finally {
+        release();
+    }
+    await queueWebhookEvents(pending.map(revisionWebhookEvent));
+    return added;
+}
+
+function summarizeRevision(revision) {
+    const { snapshot, ...summary } = revision;
+    summary.fields = revision.diff.map(change => change.field);
+    delete summary.diff;
+    return summary;
+}
+
+// ==== Speakers Trash ====
+async function readTrash() {
+    const data = await fs.readFile(TRASH_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+// Ids are never reused, so revisions and trash entries keep pointing at the right speaker
+async function nextSpeakerId(speakers) {
+    const trash = await readTrash();
+    const revisions = await readRevisions();
+    const ids = [
+        ...speakers.map(s => s.id),
+        ...trash.map(t => t.speaker.id),
+        ...revisions.filter(r => r.entity === 'speaker').map(r => r.entityId)
+    ];
+    return ids.length ? Math.max(...ids) + 1 : 1;
+}
+
+// ==== Speaker Slugs ====
+// Slugs are assigned once and kept when the name changes, so shared profile links stay valid
+function slugify(text) {
+    return normalizeText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80).replace(/-+$/, '');
+}
+
+// Gives `speaker` a slug not used by any of `others` (live or trashed speakers)
+function assignSlug(speaker, others) {
+    const taken = new Set(others.filter(s => s.id !== speaker.id).map(s => s.slug).filter(Boolean));
+    if (speaker.slug && !taken.has(speaker.slug)) return speaker;
+    const base = slugify(speaker.name) || `speaker-${speaker.id}`;
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    speaker.slug = slug;
+    return speaker;
+}
+
+async function slugOwners(speakers) {
+    const trash = await readTrash();
+    return [...speakers, ...trash.map(t => t.speaker)];
+}
+
+// ==== Speaker Publishing ====
+// Whether the public site shows a speaker right now: 'live', otherwise the reason it doesn't.
+// Scheduled and published speakers are live inside their publishAt/unpublishAt window, so
+// nothing has to run at publishAt for a scheduled profile to appear.
+function speakerVisibility(speaker, now = Date.now()) {
+    const status = speaker.status || 'published';
+    if (status === 'draft' || status === 'archived') return status;
+    if (speaker.publishAt && Date.parse(speaker.publishAt) > now) return 'scheduled';
+    if (speaker.unpublishAt && Date.parse(speaker.unpublishAt) <= now) return 'expired';
+    return 'live';
+}
+
+function isPublicSpeaker(speaker) {
+    return speakerVisibility(speaker) === 'live';
+}
+
+// Last-Modified for public speaker responses: the last write, or a later publishAt/unpublishAt
+// that has passed since (the public list changes then without anything being saved)
+async function publicSpeakersModifiedAt(speakers) {
+    const now = Date.now();
+    const passed = speakers.flatMap(s => [Date.parse(s.publishAt), Date.parse(s.unpublishAt)]).filter(t => t <= now);
+    return new Date(Math.max((await storage.lastModified('speakers')).getTime(), ...passed));
+}
+
+const SPEAKER_VISIBILITIES = ['live', 'draft', 'scheduled', 'expired', 'archived'];
+
+// Preview links let someone without an account see an unpublished profile on the real page.
+// Only a SHA-256 of each token is stored, so a leaked previews.json doesn't open any profile.
+const PREVIEW_DEFAULT_HOURS = 72;
+const PREVIEW_MAX_HOURS = 30 * 24;
+
+function hashPreviewToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function readPreviews() {
+    const data = await fs.readFile(PREVIEWS_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+// The unexpired preview `token` grants for `speakerId`, or null; it carries the token so the page can keep linking with it
+async function findPreview(speakerId, token) {
+    if (!token || typeof token !== 'string') return null;
+    const hash = hashPreviewToken(token);
+    const preview = (await readPreviews()).find(p => p.speakerId === speakerId && p.tokenHash === hash && Date.parse(p.expiresAt) > Date.now());
+    return preview ? { ...preview, token } : null;
+}
+
+// ==== Speaker Search ====
+const SPEAKER_SORTS = ['name', '-name', 'newest', 'oldest'];
+const SPEAKERS_DEFAULT_LIMIT = 12;
+const SPEAKERS_MAX_LIMIT = 100;
+
+// Lowercase and strip accents so "educ" matches "éducation"
+function normalizeText(value) {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Search matches any locale, so a French query finds a speaker with only an English bio
+function speakerSearchText(speaker) {
+    return normalizeText(Object.keys(SPEAKER_LOCALIZED_FIELDS)
+        .flatMap(field => localeCodes().map(code => speaker[localeFieldKey(field, code)]))
+        .flat()
+        .filter(Boolean)
+        .join(' '));
+}
+
+function parseSpeakerQuery(query) {
+    const errors = {};
+    const lang = query.lang || 'en';
+    const sort = query.sort || 'name';
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? SPEAKERS_DEFAULT_LIMIT : Number(query.limit);
+    const topics = [].concat(query.topic || []).map(normalizeText).filter(Boolean);
+    const feeBands = [].concat(query.feeBand || []).map(String);
+
+    if (!isLocale(lang)) errors.lang = `Must be one of: ${localeCodes().join(', ')}`;
+    if (!SPEAKER_SORTS.includes(sort)) errors.sort = `Must be one of: ${SPEAKER_SORTS.join(', ')}`;
+    if (!Number.isInteger(page) || page < 1) errors.page = 'Must be a positive integer';
+    if (!Number.isInteger(limit) || limit < 1 || limit > SPEAKERS_MAX_LIMIT) errors.limit = `Must be between 1 and ${SPEAKERS_MAX_LIMIT}`;
+    if (feeBands.some(band => !FEE_BANDS.some(b => b.band === band))) errors.feeBand = `Must be one of: ${FEE_BANDS.map(b => b.band).join(', ')}`;
+
+    // Items keep the raw multi-locale shape unless a language was asked for explicitly
+    const localize = query.lang !== undefined;
+
+    return { value: { q: String(query.q || ''), topics, feeBands, lang, localize, sort, page, limit }, errors };
+}
+
+// Each facet counts the search results with the other filters applied but not its own,
+// so the other topics and fee bands stay visible (with counts) while one is selected.
+function searchSpeakers(speakers, { q, topics, feeBands, lang, sort, page, limit }) {
+    const terms = normalizeText(q).split(/\s+/).filter(Boolean);
+    const matching = speakers.filter(s => {
+        const text = speakerSearchText(s);
+        return terms.every(term => text.includes(term));
+    });
+    const inTopics = s => !topics.length || (s.topicIds || []).some(id => topics.includes(id)) ||
+        (localizedField(s, 'topics', lang) || []).some(t => topics.includes(normalizeText(t)));
+    const inFeeBands = s => !feeBands.length || feeBands.includes(feeBand(s));
+
+    const facetCounts = new Map();
+    for (const s of matching.filter(inFeeBands)) {
+        const seen = new Set();
+        for (const topic of localizedField(s, 'topics', lang) || []) {
+            const key = normalizeText(topic);
+            if (!key || seen.has(key)) continue;
+            seen.add(key);
+            const facet = facetCounts.get(key) || { topic, count: 0 };
+            facet.count++;
+            facetCounts.set(key, facet);
+        }
+    }
+
+    const bandCounts = matching.filter(inTopics).map(feeBand);
+    const filtered = matching.filter(s => inTopics(s) && inFeeBands(s));
+
+    const byName = (a, b) => String(localizedField(a, 'name', lang) || '').localeCompare(String(localizedField(b, 'name', lang) || ''), lang, { sensitivity: 'base' });
+    const sorters = {
+        name: byName,
+        '-name': (a, b) => byName(b, a),
+        newest: (a, b) => b.id - a.id,
+        oldest: (a, b) => a.id - b.id
+    };
+    const sorted = filtered.slice().sort(sorters[sort]);
+
+    return {
+        items: sorted.slice((page - 1) * limit, page * limit),
+        total: sorted.length,
+        page,
+        limit,
+        pages: Math.ceil(sorted.length / limit),
+        facets: {
+            topics: [...facetCounts.values()].sort((a, b) => b.count - a.count || a.topic.localeCompare(b.topic, lang)),
+            feeBands: FEE_BANDS.map(({ band }) => ({ band, count: bandCounts.filter(b => b === band).length }))
+        }
+    };
+}
+
+// ==== Topic Registry ====
+// Topics live in TOPICS_FILE: { id, labels: { <locale>: label }, synonyms, aliases, createdAt, updatedAt }.
+// Speakers are tagged by id (topicIds); every locale's `topics` list is filled in from the labels on
+// each write, so translations can't drift. Labels, synonyms and ids all identify one topic only,
+// which is how free-text topics (older clients, CSV imports) are matched to ids. `aliases` holds the ids
+// of topics merged into this one, so references to them (trashed speakers, old snapshots) still resolve.
+const TOPIC_LABEL_RULE = { type: 'string', maxLength: 100 };
+const TOPIC_SCHEMA = {
+    synonyms: { type: 'array', maxItems: 30, maxLength: 100 }
+};
+const TOPIC_READONLY_FIELDS = ['id', 'aliases', 'createdAt', 'updatedAt', 'speakers', 'etag'];
+const RELATED_DEFAULT_LIMIT = 4;
+const RELATED_MAX_LIMIT = 20;
+
+async function readTopics() {
+    const data = await fs.readFile(TOPICS_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+// Normalized strings that identify a topic
+function topicTerms(topic) {
+    return [topic.id, ...topic.aliases, ...Object.values(topic.labels), ...topic.synonyms].map(normalizeText).filter(Boolean);
+}
+
+// The topic with this id, following merges
+function topicById(topics, id) {
+    return topics.find(t => t.id === id) || topics.find(t => t.aliases.includes(id)) || null;
+}
+
+// The topic an id, label or synonym (any locale, any case) refers to, or null
+function findTopic(topics, term) {
+    const key = normalizeText(term);
+    return key ? topics.find(t => topicTerms(t).includes(key)) || null : null;
+}
+
+// Label along the locale's fallback chain
+function topicLabel(topic, lang) {
+    const code = fallbackChain(lang).find(c => hasValue(topic.labels[c]));
+    return code ? topic.labels[code] : topic.id;
+}
+
+// Ids are slugs of the base-locale label when the topic is created and never change after
+function newTopicId(label, topics) {
+    const base = slugify(label) || 'topic';
+    let id = base;
+    for (let n = 2; topicById(topics, id); n++) id = `${base}-${n}`;
+    return id;
+}
+
+function validateTopic(input) {
+    if (!isPlainObject(input)) return { value: {}, errors: { _: 'Must be an object' } };
+    const { labels, ...rest } = input;
+    const { value, errors } = validateFields(rest, TOPIC_SCHEMA, { ignore: TOPIC_READONLY_FIELDS });
+    if (labels !== undefined) {
+        const labelSchema = Object.fromEntries(localeCodes().map(code => [code, TOPIC_LABEL_RULE]));
+        const checked = validateFields(labels, labelSchema, { prefix: 'labels.' });
+        Object.assign(errors, checked.errors);
+        value.labels = checked.value;
+    }
+    return { value, errors };
+}
+
+// Rules for the whole record: a base-locale label, and no term shared with another topic
+function topicRecordErrors(topic, topics) {
+    const errors = {};
+    if (!hasValue(topic.labels[BASE_LOCALE])) errors[`labels.${BASE_LOCALE}`] = 'Required';
+    const others = topics.filter(t => t.id !== topic.id);
+    const claimed = field => term => {
+        const owner = findTopic(others, term);
+        if (owner && !errors[field]) errors[field] = `"${term}" already belongs to topic ${owner.id}`;
+    };
+    Object.entries(topic.labels).forEach(([code, label]) => claimed(`labels.${code}`)(label));
+    topic.synonyms.forEach(claimed('synonyms'));
+    return errors;
+}
+
+// Drops synonyms that repeat a label or each other
+function tidySynonyms(topic) {
+    const seen = new Set([topic.id, ...Object.values(topic.labels)].map(normalizeText));
+    topic.synonyms = topic.synonyms.filter(term => {
+        const key = normalizeText(term);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+    return topic;
+}
+
+// Turns the topic fields of a validated speaker body into topicIds. Given ids are checked as they are;
+// otherwise the labels in every locale's `topics` field are looked up. Returns { value, errors }
+function resolveSpeakerTopics(input, topics) {
+    const value = { ...input };
+    const errors = {};
+    const labelKeys = localeCodes().map(code => localeFieldKey('topics', code)).filter(key => value[key] !== undefined);
+    labelKeys.forEach(key => delete value[key]);
+
+    if (value.topicIds !== undefined) {
+        const unknown = value.topicIds.filter(id => !topicById(topics, id));
+        if (unknown.length) errors.topicIds = `Unknown topics: ${unknown.join(', ')}`;
+        value.topicIds = [...new Set(value.topicIds.map(id => (topicById(topics, id) || { id }).id))];
+    } else if (labelKeys.length) {
+        const ids = [];
+        for (const key of labelKeys) {
+            const unknown = [];
+            for (const term of input[key]) {
+                const topic = findTopic(topics, term);
+                if (topic) ids.push(topic.id);
+                else unknown.push(term);
+            }
+            if (unknown.length) errors[key] = `Unknown topics: ${unknown.join(', ')} (add them to the topic list first)`;
+        }
+        value.topicIds = [...new Set(ids)];
+    }
+    return { value, errors };
+}
+
+// Fills every locale's `topics` from topicIds. A locale only gets a list when all of the speaker's
+// topics have a label in it; otherwise it stays empty and falls back as a whole, like other fields.
+function applyTopicLabels(speaker, topics) {
+    const tagged = [...new Set((speaker.topicIds || []).map(id => topicById(topics, id)).filter(Boolean))];
+    speaker.topicIds = tagged.map(t => t.id);
+    for (const code of localeCodes()) {
+        const labels = tagged.map(t => t.labels[code]);
+        speaker[localeFieldKey('topics', code)] = labels.every(hasValue) ? labels : [];
+    }
+    return speaker;
+}
+
+// Tags a stored copy of a speaker (revision snapshot, trash entry, record from before the registry)
+// with the current topics. Copies without topicIds are matched by label; labels no topic knows are dropped.
+function retagStoredSpeaker(speaker, topics) {
+    const topicIds = speaker.topicIds || resolveSpeakerTopics({ ...speaker, topicIds: undefined }, topics).value.topicIds || [];
+    return applyTopicLabels({ ...speaker, topicIds }, topics);
+}
+
+// Re-applies the labels to every speaker tagged with one of `ids`; returns the before/after pairs that changed
+function retagSpeakers(speakers, ids, topics, retag = topicIds => topicIds) {
+    return speakers
+        .filter(s => (s.topicIds || []).some(id => ids.includes(id)))
+        .map(before => ({ before, after: applyTopicLabels({ ...before, topicIds: retag(before.topicIds) }, topics) }))
+        .filter(({ before, after }) => diffObjects(before, after).length);
+}
+
+// Builds the first registry from the free-text topics speakers had before it existed. Lists of the
+// same length in two locales are taken as translations of each other; anything else gets its own topic.
+function topicsFromSpeakers(speakers) {
+    const topics = [];
+    const now = new Date().toISOString();
+    for (const speaker of speakers) {
+        const base = speaker[localeFieldKey('topics', BASE_LOCALE)] || [];
+        for (const code of localeCodes()) {
+            const terms = speaker[localeFieldKey('topics', code)] || [];
+            terms.forEach((term, i) => {
+                const pair = code !== BASE_LOCALE && terms.length === base.length ? findTopic(topics, base[i]) : null;
+                if (pair && !pair.labels[code]) {
+                    pair.labels[code] = term;
+                } else if (!findTopic(topics, term)) {
+                    if (pair) pair.synonyms.push(term);
+                    else topics.push({ id: newTopicId(term, topics), labels: { [BASE_LOCALE]: term, ...(code !== BASE_LOCALE ? { [code]: term } : {}) }, synonyms: [], aliases: [], createdAt: now, updatedAt: now });
+                }
+            });
+        }
+    }
+    return topics;
+}
+
+// Other live speakers ranked by how many topics they share with `speaker`; ties go to the ones
+// sharing rarer topics (fewer speakers tagged), then by name
+function relatedSpeakers(speaker, candidates, lang) {
+    const own = new Set(speaker.topicIds || []);
+    const tagged = new Map();
+    candidates.forEach(s => (s.topicIds || []).forEach(id => tagged.set(id, (tagged.get(id) || 0) + 1)));
+    return candidates
+        .filter(s => s.id !== speaker.id)
+        .map(s => {
+            const shared = (s.topicIds || []).filter(id => own.has(id));
+            return { speaker: s, shared, rarity: shared.reduce((sum, id) => sum + 1 / tagged.get(id), 0) };
+        })
+        .filter(r => r.shared.length)
+        .sort((a, b) => b.shared.length - a.shared.length || b.rarity - a.rarity ||
+            String(localizedField(a.speaker, 'name', lang) || '').localeCompare(String(localizedField(b.speaker, 'name', lang) || ''), lang, { sensitivity: 'base' }));
+}
+
+// ==== Throttling ====
+// Hits are counted per key over a window; reaching a key's limit locks that key out for a while.
+// Logins count failures per username and per IP, the contact form counts submissions per IP.
+const THROTTLE_WINDOW_MS = 15 * 60 * 1000;
+const THROTTLE_LOCKOUT_MS = 15 * 60 * 1000;
+const LOGIN_LIMITS = { username: 5, ip: 20 };
+const CONTACT_LIMIT = 10;
+// Same cost as real password hashes, so a login for an unknown username takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+const throttleHits = new Map();
+
+function loginThrottleKeys(req, username) {
+    return [
+        { key: `username:${String(username).toLowerCase()}`, limit: LOGIN_LIMITS.username },
+        { key: `ip:${req.ip}`, limit: LOGIN_LIMITS.ip }
+    ];
+}
+
+function contactThrottleKeys(req) {
+    return [{ key: `contact:${req.ip}`, limit: CONTACT_LIMIT }];
+}
+
+// Milliseconds until every key is unlocked (0 when none is locked)
+function throttleRemaining(keys) {
+    const now = Date.now();
+    return Math.max(0, ...keys.map(({ key }) => {
+        const entry = throttleHits.get(key);
+        return entry && entry.lockedUntil > now ? entry.lockedUntil - now : 0;
+    }));
+}
+
+function recordThrottleHit(keys) {
+    const now = Date.now();
+    keys.forEach(({ key, limit }) => {
+        let entry = throttleHits.get(key);
+        if (!entry || now - entry.firstAt > THROTTLE_WINDOW_MS) {
+            entry = { count: 0, firstAt: now, lockedUntil: 0, lockReported: false };
+            throttleHits.set(key, entry);
+        }
+        entry.count++;
+        if (entry.count >= limit) {
+            entry.lockedUntil = now + THROTTLE_LOCKOUT_MS;
+            entry.lockReported = false;
+        }
+    });
+}
+
+// True only for the first refused attempt of a lockout, so it is reported once rather than per attempt
+function firstLockedAttempt(keys) {
+    const now = Date.now();
+    let first = false;
+    keys.forEach(({ key }) => {
+        const entry = throttleHits.get(key);
+        if (entry && entry.lockedUntil > now && !entry.lockReported) {
+            entry.lockReported = true;
+            first = true;
+        }
+    });
+    return first;
+}
+
+function sendThrottled(res, lockedFor, message) {
+    res.set('Retry-After', String(Math.ceil(lockedFor / 1000)));
+    res.status(429).json({ error: `${message} Try again in ${Math.ceil(lockedFor / 60000)} minute(s).` });
+}
+
+// Drop expired entries so the map doesn't grow forever
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of throttleHits) {
+        if (entry.lockedUntil <= now && now - entry.firstAt > THROTTLE_WINDOW_MS) {
+            throttleHits.delete(key);
+        }
+    }
+}, THROTTLE_WINDOW_MS).unref();
+
+// ==== Security Audit Log ====
+// One JSON object per line, only ever appended to
+const AUDIT_ACTIONS = [
+    'login.success', 'login.failure', 'login.locked', 'logout',
+    'password.change', 'password.reset', 'password.forgot',
+    'user.create', 'user.delete', 'user.role', 'user.email',
+    'invitation.create', 'invitation.revoke', 'invitation.accept',
+    'webhook.create', 'webhook.update', 'webhook.delete', 'webhook.rotate',
+    'media.delete', 'media.purge'
+];
+const AUDIT_DEFAULT_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 1000;
+
+// Never throws: a failing audit write must not break the request that triggered it
+async function audit(req, action, { actor, target = null, details } = {}) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        action,
+        actor: actor !== undefined ? actor : (req.session && req.session.username) || null,
+        target,
+        ip: req.ip,
+        ...(details ? { details } : {})
+    };
+    const release = await lockFile(AUDIT_FILE);
+    try {
+        await fs.appendFile(AUDIT_FILE, JSON.stringify(entry) + '\n');
+    } catch (err) {
+        console.error('Audit log error:', err);
+    } finally {
+        release();
+    }
+}
+
+async function readAudit() {
+    let data;
+    try {
+        data = await fs.readFile(AUDIT_FILE, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    return data.split('\n').filter(Boolean).map(line => {
+        try { return JSON.parse(line); } catch { return null; }
+    }).filter(Boolean);
+}
+
+// Dates may be full ISO timestamps or plain YYYY-MM-DD; a plain `to` date covers the whole day
+function parseAuditQuery(query) {
+    const errors = {};
+    const value = {
+        user: typeof query.user === 'string' ? query.user.trim() : '',
+        action: typeof query.action === 'string' ? query.action.trim() : '',
+        from: null,
+        to: null,
+        limit: AUDIT_DEFAULT_LIMIT
+    };
+
+    if (value.action && !AUDIT_ACTIONS.some(a => a === value.action || a.startsWith(value.action + '.'))) {
+        errors.action = `Must be one of: ${AUDIT_ACTIONS.join(', ')}`;
+    }
+
+    ['from', 'to'].forEach(field => {
+        if (query[field] === undefined || query[field] === '') return;
+        const raw = String(query[field]);
+        const time = Date.parse(raw);
+        if (Number.isNaN(time)) {
+            errors[field] = 'Must be a date (YYYY-MM-DD or ISO 8601)';
+            return;
+        }
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(raw);
+        value[field] = field === 'to' && dateOnly ? time + 24 * 60 * 60 * 1000 - 1 : time;
+    });
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_MAX_LIMIT) {
+            errors.limit = `Must be an integer between 1 and ${AUDIT_MAX_LIMIT}`;
+        } else {
+            value.limit = limit;
+        }
+    }
+
+    return { value, errors };
+}
+
+// ==== Account Tokens (Invitations & Password Resets) ====
+// Single-use links sent by email. Only a SHA-256 of each token is stored, so reading the file
+// doesn't give access to an account; a token is deleted once used, and expired ones on the next write.
+// Lock USERS_LOCK before ACCOUNT_TOKENS_FILE when holding both.
+const ACCOUNT_TOKEN_TTL_MS = {
+    invitation: 7 * 24 * 60 * 60 * 1000,
+    reset: 60 * 60 * 1000
+};
+// Forgot-password requests for the same account send at most one link per minute
+const RESET_RESEND_MS = 60 * 1000;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const PASSWORD_MIN_LENGTH = 8;
+
+function passwordError(password) {
+    if (!password || typeof password !== 'string') return 'Password required';
+    if (password.length < PASSWORD_MIN_LENGTH) return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+    return null;
+}
+
+async function readAccountTokens() {
+    const data = await fs.readFile(ACCOUNT_TOKENS_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+function hashAccountToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isOpenToken(record, now = Date.now()) {
+    return Date.parse(record.expiresAt) > now;
+}
+
+// Stores a new token of `type` with `fields` and returns { record, token }; the token itself is only ever returned
+async function issueAccountToken(type, fields) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const record = {
+        id: crypto.randomUUID(),
+        type,
+        ...fields,
+        tokenHash: hashAccountToken(token),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ACCOUNT_TOKEN_TTL_MS[type]).toISOString()
+    };
+    const tokens = (await readAccountTokens()).filter(t => isOpenToken(t, now));
+    tokens.push(record);
+    await writeJsonAtomic(ACCOUNT_TOKENS_FILE, tokens);
+    return { record, token };
+}
+
+// The unexpired token of `type` matching `token`, or null
+async function findAccountToken(type, token) {
+    if (!token || typeof token !== 'string') return null;
+    const hash = hashAccountToken(token);
+    return (await readAccountTokens()).find(t => t.type === type && t.tokenHash === hash && isOpenToken(t)) || null;
+}
+
+async function removeAccountTokens(match) {
+    const tokens = await readAccountTokens();
+    await writeJsonAtomic(ACCOUNT_TOKENS_FILE, tokens.filter(t => isOpenToken(t) && !match(t)));
+}
+
+// Invitations as the admin panel sees them
+function invitationSummary(record) {
+    return {
+        id: record.id,
+        username: record.username,
+        email: record.email,
+        role: record.role,
+        createdAt: record.createdAt,
+        createdBy: record.createdBy,
+        expiresAt: record.expiresAt
+    };
+}
+
+// The token goes in the fragment, so it never reaches server logs or Referer headers
+function accountLink(req, type, token) {
+    return `${siteUrl(req)}/set-password.html#${type}=${encodeURIComponent(token)}`;
+}
+
+function accountMail({ to, subject, lines, link, footer }) {
+    const text = [...lines, '', link, '', footer].join('\n');
+    const html = `<div style="font-family: Arial, sans-serif; color: #000; max-width: 560px">
+    ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n    ')}
+    <p><a href="${escapeHtml(link)}" style="display: inline-block; background: #7877E6; color: #fff; padding: 12px 24px; border-radius: 4px; text-decoration: none">${escapeHtml(subject)}</a></p>
+    <p style="color: #555; font-size: 13px">${escapeHtml(footer)}</p>
+</div>`;
+    return mailer.send({ to, subject, text, html });
+}
+
+function sendInvitationMail(req, invitation, token) {
+    return accountMail({
+        to: invitation.email,
+        subject: `Join the ${SITE_NAME} admin`,
+        lines: [
+            `${invitation.createdBy} invited you to the ${SITE_NAME} admin panel as ${invitation.role}.`,
+            `Choose a password to activate your account "${invitation.username}":`
+        ],
+        link: accountLink(req, 'invitation', token),
+        footer: `The link works once and expires on ${new Date(invitation.expiresAt).toUTCString()}. If you weren't expecting it, you can ignore this email.`
+    });
+}
+
+function sendResetMail(req, user, token) {
+    return accountMail({
+        to: user.email,
+        subject: `Reset your ${SITE_NAME} password`,
+        lines: [
+            `Someone asked to reset the password of the ${SITE_NAME} admin account "${user.username}".`,
+            'Choose a new password here:'
+        ],
+        link: accountLink(req, 'reset', token),
+        footer: "The link works once and expires in an hour. If you didn't ask for it, ignore this email and your password stays the same."
+    });
+}
+
+// ==== AUTHENTICATION ROUTES ====
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Username and password required' });
+        }
+
+        // Refuse outright while the username or IP is locked out
+        const throttleKeys = loginThrottleKeys(req, username);
+        const lockedFor = throttleRemaining(throttleKeys);
+        if (lockedFor > 0) {
+            if (firstLockedAttempt(throttleKeys)) {
+                await audit(req, 'login.locked', { actor: username });
+            }
+            return sendThrottled(res, lockedFor, 'Too many failed login attempts.');
+        }
+
+        // Find user
+        const user = await storage.users.get(username);
+
+        // Verify password; unknown usernames are checked against a dummy hash so they take as long
+        const passwordMatches = await bcrypt.compare(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+        const isValid = Boolean(user) && passwordMatches;
+        
+        if (!isValid) {
+            recordThrottleHit(throttleKeys);
+            await audit(req, 'login.failure', {
+                actor: username,
+                details: { reason: user ? 'bad_password' : 'unknown_user' }
+            });
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        // Only the username counter is cleared: clearing the IP one would let anyone holding a valid
+        // account reset their IP's budget between guesses at other accounts
+        throttleHits.delete(throttleKeys[0].key);
+
+        // Record the login time
+        const release = await lockFile(USERS_LOCK);
+        try {
+            const stored = await storage.users.get(username);
+            if (stored) {
+                stored.lastLogin = new Date().toISOString();
+                await storage.users.update(stored);
+            }
+        } finally {
+            release();
+        }
+
+        // New session ID on login so a pre-login session can't be fixated
+        await new Promise((resolve, reject) => {
+            req.session.regenerate(err => err ? reject(err) : resolve());
+        });
+
+        // Set session
+        req.session.isAuthenticated = true;
+        req.session.username = username;
+
+        await audit(req, 'login.success', { actor: username });
+        
+        res.json({ 
+            success: true, 
+            message: 'Login successful',
+            username: username,
+            mustChangePassword: Boolean(user.mustChangePassword)
+        });
+    } catch (err) {
+        console.error('Login error:', err);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    if (req.session && req.session.isAuthenticated) {
+        await audit(req, 'logout');
+    }
+    req.session.destroy((err) => {
+        if (err) {
+            return res.status(500).json({ error: 'Logout failed' });
+        }
+        res.json({ success: true, message: 'Logged out successfully' });
+    });
+});
+
+app.get('/api/auth/check', async (req, res) => {
+    if (req.session && req.session.isAuthenticated) {
+        try {
+            const user = await storage.users.get(req.session.username);
+            if (!user) {
+                return res.json({ authenticated: false });
+            }
+            res.json({ 
+                authenticated: true, 
+                username: req.session.username,
+                role: user.role,
+                permissions: ROLE_PERMISSIONS[user.role] || [],
+                mustChangePassword: Boolean(user.mustChangePassword)
+            });
+        } catch (err) {
+            console.error('Auth check error:', err);
+            res.status(500).json({ error: 'Auth check failed' });
+        }
+    } else {
+        res.json({ authenticated: false });
+    }
+});
+
+// Change password (requires authentication)
+app.post('/api/auth/change-password', requireAuth, async (req, res) => {
+    const release = await lockFile(USERS_LOCK);
+    try {
+        const { currentPassword, newPassword } = req.body;
+        
+        if (!currentPassword || typeof currentPassword !== 'string' || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password required' });
+        }
+
+        const problem = passwordError(newPassword);
+        if (problem) return res.status(400).json({ error: problem });
+
+        const user = await storage.users.get(req.session.username);
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Verify current password
+        const isValid = await bcrypt.compare(currentPassword, user.passwordHash);
+        
+        if (!isValid) {
+            await audit(req, 'password.change', { target: req.session.username, details: { success: false } });
+            return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+
+        if (newPassword === currentPassword) {
+            return res.status(400).json({ error: 'New password must be different from the current one' });
+        }
+
+        // Hash new password
+        const newHash = await bcrypt.hash(newPassword, 10);
+        user.passwordHash = newHash;
+        user.passwordChangedAt = new Date().toISOString();
+        delete user.mustChangePassword;
+        
+        await storage.users.update(user);
+        await audit(req, 'password.change', { target: req.session.username, details: { success: true } });
+        
+        res.json({ success: true, message: 'Password changed successfully' });
+    } catch (err) {
+        console.error('Password change error:', err);
+        res.status(500).json({ error: 'Failed to change password' });
+    } finally {
+        release();
+    }
+});
+
+// Sends a reset link to the account's email address. Answers the same whether or not the account
+// exists, so it can't be used to find out. Body: { username } (a username or an email address)
+app.post('/api/auth/forgot-password', async (req, res) => {
+    const { username } = req.body;
+    if (!username || typeof username !== 'string') {
+        return res.status(400).json({ error: 'Username or email required' });
+    }
+
+    try {
+        const login = username.trim();
+        const user = (await storage.users.all())
+            .find(u => u.username === login || (u.email && u.email.toLowerCase() === login.toLowerCase()));
+
+        let token = null;
+        if (user && user.email) {
+            const release = await lockFile(ACCOUNT_TOKENS_FILE);
+            try {
+                const recent = (await readAccountTokens()).some(t => t.type === 'reset' && t.username === user.username &&
+                    Date.now() - Date.parse(t.createdAt) < RESET_RESEND_MS);
+                if (!recent) token = (await issueAccountToken('reset', { username: user.username })).token;
+            } finally {
+                release();
+            }
+        }
+        // Not awaited: a slow mail server would otherwise show which accounts exist
+        if (token) sendResetMail(req, user, token).catch(err => console.error('Reset mail error:', err));
+        await audit(req, 'password.forgot', { actor: null, target: user ? user.username : null, details: { sent: Boolean(token) } });
+
+        res.json({ success: true, message: 'If that account has an email address, a reset link is on its way' });
+    } catch (err) {
+        console.error('Forgot password error:', err);
+        res.status(500).json({ error: 'Failed to send reset link' });
+    }
+});
+
+// Body: { token, newPassword } — the token from the emailed link; every reset link for the account stops working
+app.post('/api/auth/reset-password', async (req, res) => {
+    const { token, newPassword } = req.body;
+    const problem = passwordError(newPassword);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const releaseUsers = await lockFile(USERS_LOCK);
+    const releaseTokens = await lockFile(ACCOUNT_TOKENS_FILE);
+    try {
+        const record = await findAccountToken('reset', token);
+        const user = record && await storage.users.get(record.username);
+        if (!user) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        user.passwordHash = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date().toISOString();
+        delete user.mustChangePassword;
+        await storage.users.update(user);
+        await removeAccountTokens(t => t.type === 'reset' && t.username === user.username);
+        await audit(req, 'password.reset', { actor: user.username, target: user.username, details: { via: 'email' } });
+
+        res.json({ success: true, message: 'Password changed; you can log in now', username: user.username });
+    } catch (err) {
+        console.error('Token password reset error:', err);
+        res.status(500).json({ error: 'Failed to reset password' });
+    } finally {
+        releaseTokens();
+        releaseUsers();
+    }
+});
+
+// What the set-password page shows before the invitee picks a password. ?token=
+app.get('/api/auth/invitation', async (req, res) => {
+    try {
+        const record = await findAccountToken('invitation', req.query.token);
+        if (!record) return res.status(404).json({ error: 'This invitation is invalid or has expired' });
+        res.set('Cache-Control', 'no-store');
+        res.json({ username: record.username, email: record.email, role: record.role, expiresAt: record.expiresAt });
+    } catch (err) {
+        console.error('Get invitation error:', err);
+        res.status(500).json({ error: 'Failed to get invitation' });
+    }
+});
+
+// Body: { token, password } — creates the account; the new user then logs in as usual
+app.post('/api/auth/accept-invitation', async (req, res) => {
+    const { token, password } = req.body;
+    const problem = passwordError(password);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const releaseUsers = await lockFile(USERS_LOCK);
+    const releaseTokens = await lockFile(ACCOUNT_TOKENS_FILE);
+    try {
+        const record = await findAccountToken('invitation', token);
+        if (!record) {
+            return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+        }
+        if (await storage.users.get(record.username)) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+
+        const newUser = {
+            username: record.username,
+            email: record.email,
+            passwordHash: await bcrypt.hash(password, 10),
+            role: record.role,
+            createdAt: new Date().toISOString(),
+            createdBy: record.createdBy
+        };
+        await storage.users.create(newUser);
+        await removeAccountTokens(t => t.id === record.id);
+        await audit(req, 'invitation.accept', { actor: newUser.username, target: newUser.username, details: { role: newUser.role, invitedBy: record.createdBy } });
+        await queueWebhookEvents([{ event: 'user.created', actor: record.createdBy, data: { before: null, after: userWebhookData(newUser) } }]);
+
+        res.status(201).json({ success: true, message: 'Account created; you can log in now', username: newUser.username });
+    } catch (err) {
+        console.error('Accept invitation error:', err);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    } finally {
+        releaseTokens();
+        releaseUsers();
+    }
+});
+
+// ==== USER MANAGEMENT API (Add these routes to server.js after the auth routes) ====
+
+// Get all users (excluding password hashes)
+app.get('/api/users', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const users = await storage.users.all();
+        
+        // Remove password hashes before sending; etag lets edits send If-Match
+        const sanitizedUsers = users.map(u => ({
+            username: u.username,
+            email: u.email || '',
+            role: u.role,
+            mustChangePassword: Boolean(u.mustChangePassword),
+            createdAt: u.createdAt,
+            passwordChangedAt: u.passwordChangedAt,
+            lastLogin: u.lastLogin,
+            etag: etagFor(u)
+        }));
+        
+        res.json(sanitizedUsers);
+    } catch (err) {
+        console.error('Get users error:', err);
+        res.status(500).json({ error: 'Failed to get users' });
+    }
+});
+
+// Create new user with a temporary password they have to change at first login
+// (POST /api/invitations lets them choose it themselves instead)
+app.post('/api/users', requirePermission('users:manage'), async (req, res) => {
+    const release = await lockFile(USERS_LOCK);
+    try {
+        const { username, password, role = 'viewer', email = '' } = req.body;
+        
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password required' });
+        }
+        
+        if (typeof username !== 'string') {
+            return res.status(400).json({ error: 'Username must be text' });
+        }
+        
+        const problem = passwordError(password);
+        if (problem) return res.status(400).json({ error: problem });
+        
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+        
+        if (!USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: 'Username can only contain letters, numbers, underscores, and hyphens' });
+        }
+        
+        if (email && (typeof email !== 'string' || !EMAIL_PATTERN.test(email))) {
+            return res.status(400).json({ error: 'Email must be a valid email address' });
+        }
+        
+        // Check if username already exists or is waiting on an invitation
+        if (await storage.users.get(username)) {
+            return res.status(400).json({ error: 'Username already exists' });
+        }
+        if ((await readAccountTokens()).some(t => t.type === 'invitation' && t.username === username && isOpenToken(t))) {
+            return res.status(400).json({ error: 'An invitation for this username is pending' });
+        }
+        
+        // Hash password
+        const passwordHash = await bcrypt.hash(password, 10);
+        
+        // Create new user
+        const newUser = {
+            username,
+            email: email.trim(),
+            passwordHash,
+            role,
+            createdAt: new Date().toISOString(),
+            createdBy: req.session.username,
+            mustChangePassword: true
+        };
+        
+        await storage.users.create(newUser);
+        await audit(req, 'user.create', { target: username, details: { role } });
+        await queueWebhookEvents([{ event: 'user.created', actor: req.session.username, data: { before: null, after: userWebhookData(newUser) } }]);
+        
+        // Return user without password hash
+        res.status(201).json({
+            username: newUser.username,
+            email: newUser.email,
+            role: newUser.role,
+            mustChangePassword: true,
+            createdAt: newUser.createdAt,
+            createdBy: newUser.createdBy
+        });
+    } catch (err) {
+        console.error('Create user error:', err);
+        res.status(500).json({ error: 'Failed to create user' });
+    } finally {
+        release();
+    }
+});
+
+// Delete user
+app.delete('/api/users/:username', requirePermission('users:manage'), async (req, res) => {
+    const release = await lockFile(USERS_LOCK);
+    try {
+        const { username } = req.params;
+        
+        // Prevent deleting yourself
+        if (username === req.session.username) {
+            return res.status(400).json({ error: 'Cannot delete your own account' });
+        }
+        
+        // Don't allow deleting the last user
+        if (await storage.users.count() <= 1) {
+            return res.status(400).json({ error: 'Cannot delete the last user' });
+        }
+        
+        const target = await storage.users.get(username);
+        
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (isStale(req, target)) {
+            return sendConflict(res, target);
+        }
+        
+        // Don't allow deleting the last owner
+        if (target.role === 'owner' && await storage.users.count('owner') <= 1) {
+            return res.status(400).json({ error: 'Cannot delete the last owner' });
+        }
+        
+        await storage.users.remove(username);
+        await audit(req, 'user.delete', { target: username, details: { role: target.role } });
+        await queueWebhookEvents([{ event: 'user.deleted', actor: req.session.username, data: { before: userWebhookData(target), after: null } }]);
+        
+        res.json({ success: true, message: 'User deleted successfully' });
+    } catch (err) {
+        console.error('Delete user error:', err);
+        res.status(500).json({ error: 'Failed to delete user' });
+    } finally {
+        release();
+    }
+});
+
+// Reset user password (admin only). Without a body the user is emailed a reset link;
+// with { newPassword } that becomes a temporary password they have to change at next login.
+app.post('/api/users/:username/reset-password', requirePermission('users:manage'), async (req, res) => {
+    let mailTo, token;
+    const release = await lockFile(USERS_LOCK);
+    try {
+        const { username } = req.params;
+        const { newPassword } = req.body;
+        
+        if (newPassword !== undefined && passwordError(newPassword)) {
+            return res.status(400).json({ error: passwordError(newPassword) });
+        }
+        
+        const user = await storage.users.get(username);
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (isStale(req, user)) {
+            return sendConflict(res, user);
+        }
+        
+        if (newPassword === undefined) {
+            if (!user.email) {
+                return res.status(400).json({ error: 'User has no email address; set one or give a temporary password' });
+            }
+            const releaseTokens = await lockFile(ACCOUNT_TOKENS_FILE);
+            try {
+                token = (await issueAccountToken('reset', { username, createdBy: req.session.username })).token;
+            } finally {
+                releaseTokens();
+            }
+            // Mailed below, once USERS_LOCK is released, so a slow mail server doesn't hold up user changes
+            mailTo = user;
+        } else {
+            // Hash new password
+            const passwordHash = await bcrypt.hash(newPassword, 10);
+            user.passwordHash = passwordHash;
+            user.passwordChangedAt = new Date().toISOString();
+            user.passwordResetBy = req.session.username;
+            user.mustChangePassword = true;
+
+            await storage.users.update(user);
+            await audit(req, 'password.reset', { target: username, details: { via: 'temporary' } });
+
+            res.json({ success: true, message: 'Password reset successfully', etag: etagFor(user) });
+        }
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.status(500).json({ error: 'Failed to reset password' });
+    } finally {
+        release();
+    }
+    if (!mailTo) return;
+
+    try {
+        await sendResetMail(req, mailTo, token);
+        await audit(req, 'password.reset', { target: mailTo.username, details: { via: 'email' } });
+        res.json({ success: true, message: `Reset link sent to ${mailTo.email}`, etag: etagFor(mailTo) });
+    } catch (err) {
+        console.error('Reset mail error:', err);
+        res.status(500).json({ error: 'Failed to send the reset email' });
+    }
+});
+
+// Change user role (admin only)
+app.put('/api/users/:username/role', requirePermission('users:manage'), async (req, res) => {
+    const release = await lockFile(USERS_LOCK);
+    try {
+        const { username } = req.params;
+        const { role } = req.body;
+        
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+        }
+        
+        const user = await storage.users.get(username);
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (isStale(req, user)) {
+            return sendConflict(res, user);
+        }
+        
+        // Don't allow demoting the last owner
+        if (user.role === 'owner' && role !== 'owner' && await storage.users.count('owner') <= 1) {
+            return res.status(400).json({ error: 'Cannot demote the last owner' });
+        }
+        
+        const previousRole = user.role;
+        user.role = role;
+        user.roleChangedAt = new Date().toISOString();
+        user.roleChangedBy = req.session.username;
+        
+        await storage.users.update(user);
+        await audit(req, 'user.role', { target: username, details: { from: previousRole, to: role } });
+        
+        res.json({ success: true, message: 'Role updated successfully', username, role, etag: etagFor(user) });
+    } catch (err) {
+        console.error('Change role error:', err);
+        res.status(500).json({ error: 'Failed to change role' });
+    } finally {
+        release();
+    }
+});
+
+// Set or clear a user's email address, where invitations and reset links go. Body: { email }
+app.put('/api/users/:username/email', requirePermission('users:manage'), async (req, res) => {
+    const release = await lockFile(USERS_LOCK);
+    try {
+        const { username } = req.params;
+        const { email } = req.body;
+        
+        if (typeof email !== 'string' || (email.trim() && !EMAIL_PATTERN.test(email.trim()))) {
+            return res.status(400).json({ error: 'Email must be a valid email address (or empty to clear it)' });
+        }
+        
+        const user = await storage.users.get(username);
+        
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (isStale(req, user)) {
+            return sendConflict(res, user);
+        }
+        
+        const previousEmail = user.email || '';
+        user.email = email.trim();
+        
+        await storage.users.update(user);
+        await audit(req, 'user.email', { target: username, details: { from: previousEmail, to: user.email } });
+        
+        res.json({ success: true, message: 'Email updated successfully', username, email: user.email, etag: etagFor(user) });
+    } catch (err) {
+        console.error('Change email error:', err);
+        res.status(500).json({ error: 'Failed to change email' });
+    } finally {
+        release();
+    }
+});
+
+// ==== INVITATIONS (Auth required) ====
+// Pending invitations, oldest first
+app.get('/api/invitations', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const invitations = (await readAccountTokens()).filter(t => t.type === 'invitation' && isOpenToken(t));
+        res.json(invitations.map(invitationSummary));
+    } catch (err) {
+        console.error('Get invitations error:', err);
+        res.status(500).json({ error: 'Failed to get invitations' });
+    }
+});
+
+// Emails a single-use link that lets the invitee choose their own password. Body: { username, email, role }.
+// The response includes the link too, in case the email doesn't arrive (`delivered: false`).
+app.post('/api/invitations', requirePermission('users:manage'), async (req, res) => {
+    const { username, email, role = 'viewer' } = req.body;
+    if (!username || typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({ error: 'Username can only contain letters, numbers, underscores, and hyphens' });
+    }
+    if (!email || typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+        return res.status(400).json({ error: 'Email must be a valid email address' });
+    }
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    let issued;
+    const releaseUsers = await lockFile(USERS_LOCK);
+    const releaseTokens = await lockFile(ACCOUNT_TOKENS_FILE);
+    try {
+        if (await storage.users.get(username)) {
+            return res.status(400).json({ error: 'Username already exists' });
+        }
+        // A new invitation for the same username replaces the pending one
+        await removeAccountTokens(t => t.type === 'invitation' && t.username === username);
+        issued = await issueAccountToken('invitation', { username, email: email.trim(), role, createdBy: req.session.username });
+    } catch (err) {
+        console.error('Create invitation error:', err);
+        return res.status(500).json({ error: 'Failed to create invitation' });
+    } finally {
+        releaseTokens();
+        releaseUsers();
+    }
+
+    let delivered = true;
+    try {
+        await sendInvitationMail(req, issued.record, issued.token);
+    } catch (err) {
+        console.error('Invitation mail error:', err);
+        delivered = false;
+    }
+    await audit(req, 'invitation.create', { target: username, details: { role, email: issued.record.email, delivered } });
+
+    res.status(201).json({ ...invitationSummary(issued.record), delivered, url: accountLink(req, 'invitation', issued.token) });
+});
+
+app.delete('/api/invitations/:id', requirePermission('users:manage'), async (req, res) => {
+    const release = await lockFile(ACCOUNT_TOKENS_FILE);
+    try {
+        const record = (await readAccountTokens()).find(t => t.type === 'invitation' && t.id === req.params.id && isOpenToken(t));
+        if (!record) return res.status(404).json({ error: 'Invitation not found' });
+
+        await removeAccountTokens(t => t.id === record.id);
+        await audit(req, 'invitation.revoke', { target: record.username });
+        res.json({ success: true, message: 'Invitation revoked' });
+    } catch (err) {
+        console.error('Revoke invitation error:', err);
+        res.status(500).json({ error: 'Failed to revoke invitation' });
+    } finally {
+        release();
+    }
+});
+
+// ==== SECURITY AUDIT API (Auth required) ====
+// Newest first; `user` matches either the actor or the target, `action` may be a prefix like "login"
+app.get('/api/audit', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { value: query, errors } = parseAuditQuery(req.query);
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const entries = (await readAudit()).filter(e => {
+            if (query.user && e.actor !== query.user && e.target !== query.user) return false;
+            if (query.action && e.action !== query.action && !e.action.startsWith(query.action + '.')) return false;
+            const time = Date.parse(e.timestamp);
+            if (query.from !== null && time < query.from) return false;
+            if (query.to !== null && time > query.to) return false;
+            return true;
+        }).reverse();
+
+        res.json({
+            items: entries.slice(0, query.limit),
+            total: entries.length
+        });
+    } catch (err) {
+        console.error('Get audit log error:', err);
+        res.status(500).json({ error: 'Failed to get audit log' });
+    }
+});
+
+// ==== BULK IMPORT / EXPORT (Auth required) ====
+// Registered before GET /api/speakers/:id so "export" isn't read as an id.
+// Rows match an existing speaker by `id`, or else by name (accent/case-insensitive); anything unmatched is created.
+// Only the columns/keys present in the file are written, so a sheet with just `name,topics` leaves bios alone.
+// In CSV, list fields (topics, keyTopics…) hold their items separated by "|".
+const ROSTER_FORMATS = ['csv', 'json'];
+const ROSTER_LIST_SEPARATOR = '|';
+const ROSTER_MAX_ROWS = 2000;
+
+// Spreadsheets carry topics by label (matched to the registry on import) rather than by id
+function rosterColumns() {
+    return ['id', 'slug', ...Object.keys(speakerSchema()).filter(key => key !== 'topicIds')];
+}
+
+// RFC 4180 with either "," or ";" (what French-locale Excel writes) as the delimiter; null when a quote is left open
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) return null;
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// Cells starting with = + - @ get a leading apostrophe so spreadsheets don't run them as formulas;
+// the import strips it again
+function csvCell(value) {
+    let text = Array.isArray(value) ? value.join(` ${ROSTER_LIST_SEPARATOR} `) : String(value == null ? '' : value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvToRecords(text) {
+    const rows = parseCsv(text);
+    if (!rows) return { errors: { file: 'Malformed CSV: a quoted cell is never closed' } };
+    if (!rows.length) return { errors: { file: 'The file is empty' } };
+
+    const header = rows[0].map(h => h.trim());
+    const schema = speakerSchema();
+    const unknown = header.filter(h => !rosterColumns().includes(h));
+    if (unknown.length) return { errors: { file: `Unknown columns: ${unknown.join(', ')}` } };
+
+    const records = rows.slice(1).map(cells => {
+        const record = {};
+        header.forEach((column, i) => {
+            const raw = (cells[i] || '').replace(/^'(?=[=+\-@])/, '');
+            if (column === 'slug') return;
+            if (column === 'id') {
+                if (raw.trim()) record.id = raw.trim();
+            } else if (schema[column].type === 'array') {
+                record[column] = raw.split(ROSTER_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+            } else if (schema[column].type === 'number') {
+                record[column] = raw.trim() === '' ? null : Number(raw.trim());
+            } else {
+                record[column] = raw;
+            }
+        });
+        return record;
+    });
+    return { records };
+}
+
+// JSON uploads are the export format: an array of speaker objects
+function jsonToRecords(body) {
+    if (!Array.isArray(body)) return { errors: { file: 'Expected an array of speakers' } };
+    return { records: body };
+}
+
+// Works out what each row would do without touching anything. `operations` holds the
+// before/after pairs for rows that would change, in file order.
+function planRosterImport(speakers, records, topics) {
+    const rows = [];
+    const operations = [];
+    const claimed = new Map();
+    const createdNames = new Map();
+
+    records.forEach((record, index) => {
+        const rowNumber = index + 1;
+        const { value: fields, errors } = isPlainObject(record) ? validateSpeaker(record) : { value: {}, errors: { _: 'Must be an object' } };
+        const { value, errors: topicErrors } = resolveSpeakerTopics(fields, topics);
+        Object.assign(errors, topicErrors);
+        let target = null;
+
+        if (isPlainObject(record) && record.id !== undefined && record.id !== null && record.id !== '') {
+            target = speakers.find(s => s.id === Number(record.id)) || null;
+            if (!target) errors.id = `No speaker with id ${record.id}`;
+        } else if (value.name) {
+            const matches = speakers.filter(s => normalizeText(s.name) === normalizeText(value.name));
+            if (matches.length > 1) errors.name = `Matches ${matches.length} speakers; add an id column to choose one`;
+            target = matches[0] || null;
+        } else if (!errors._) {
+            errors.name = 'Required when there is no id';
+        }
+
+        if (target && claimed.has(target.id)) errors._ = `Same speaker as row ${claimed.get(target.id)}`;
+        if (target) claimed.set(target.id, rowNumber);
+        if (!target && value.name) {
+            const key = normalizeText(value.name);
+            if (createdNames.has(key)) errors.name = `Same new speaker as row ${createdNames.get(key)}`;
+            createdNames.set(key, rowNumber);
+        }
+
+        if (!Object.keys(errors).length) Object.assign(errors, speakerRecordErrors({ ...(target || emptySpeaker()), ...value }));
+        if (Object.keys(errors).length) {
+            rows.push({ row: rowNumber, action: 'error', id: target ? target.id : null, name: value.name || (target && target.name) || null, errors });
+            return;
+        }
+
+        const before = target;
+        const after = applyTopicLabels(target ? { ...target, ...value } : { ...emptySpeaker(), ...value }, topics);
+        const changes = diffObjects(before || emptySpeaker(), after);
+        const action = !target ? 'create' : changes.length ? 'update' : 'unchanged';
+        rows.push({ row: rowNumber, action, id: target ? target.id : null, name: after.name, changes });
+        if (action !== 'unchanged') operations.push({ before, after });
+    });
+
+    const summary = { rows: rows.length, create: 0, update: 0, unchanged: 0, error: 0 };
+    rows.forEach(r => summary[r.action]++);
+    return { rows, summary, operations };
+}
+
+app.get('/api/speakers/export', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!ROSTER_FORMATS.includes(format)) {
+            return sendValidationErrors(res, { format: `Must be one of: ${ROSTER_FORMATS.join(', ')}` });
+        }
+
+        const speakers = await storage.speakers.all();
+        res.set('ETag', etagFor(speakers));
+        res.attachment(`speakers-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+        if (format === 'json') return res.send(JSON.stringify(speakers, null, 2));
+
+        const columns = rosterColumns();
+        const lines = [columns.join(','), ...speakers.map(s => columns.map(c => csvCell(s[c])).join(','))];
+        // BOM so Excel opens accented text as UTF-8
+        res.type('text/csv; charset=utf-8').send('\uFEFF' + lines.join('\r\n') + '\r\n');
+    } catch (err) {
+        console.error('Export speakers error:', err);
+        res.status(500).json({ error: 'Failed to export speakers' });
+    }
+});
+
+// Dry run unless ?apply=true. Applying writes every speaker row or none (one storage call; the revisions
+// are recorded right after it); send the dry run's ETag as If-Match to make sure the roster hasn't
+// changed since the diff was reviewed.
+app.post('/api/speakers/import', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(SPEAKERS_LOCK);
+    try {
+        const apply = req.query.apply === 'true';
+        const parsed = typeof req.body === 'string' ? csvToRecords(req.body) : jsonToRecords(req.body);
+        if (parsed.errors) return sendValidationErrors(res, parsed.errors);
+        if (parsed.records.length > ROSTER_MAX_ROWS) {
+            return sendValidationErrors(res, { file: `At most ${ROSTER_MAX_ROWS} rows per import` });
+        }
+
+        const speakers = await storage.speakers.all();
+        if (apply && isStale(req, speakers)) return sendConflict(res, speakers);
+
+        const { rows, summary, operations } = planRosterImport(speakers, parsed.records, await readTopics());
+        if (!apply) {
+            res.set('ETag', etagFor(speakers));
+            return res.json({ dryRun: true, summary, rows });
+        }
+        if (summary.error) {
+            return res.status(400).json({ error: 'Import has errors; nothing was applied', summary, rows: rows.filter(r => r.action === 'error') });
+        }
+
+        let nextId = await nextSpeakerId(speakers);
+        const owners = await slugOwners(speakers);
+        const updated = speakers.slice();
+        for (const op of operations) {
+            if (op.before) {
+                updated[updated.indexOf(op.before)] = op.after;
+            } else {
+                op.after = assignSlug({ id: nextId++, ...op.after }, owners);
+                owners.push(op.after);
+                updated.push(op.after);
+            }
+        }
+
+        await storage.speakers.upsertMany(operations.map(op => op.after));
+        await recordRevisions(operations.map(op => ({
+            entity: 'speaker',
+            entityId: op.after.id,
+            action: op.before ? 'update' : 'create',
+            author: req.session.username,
+            before: op.before,
+            after: op.after
+        })));
+
+        // Fill in the ids the new rows received
+        const createdIds = operations.filter(op => !op.before).map(op => op.after.id);
+        rows.filter(r => r.action === 'create').forEach((r, i) => { r.id = createdIds[i]; });
+
+        res.set('ETag', etagFor(updated));
+        res.json({ dryRun: false, summary, rows });
+    } catch (err) {
+        console.error('Import speakers error:', err);
+        res.status(500).json({ error: 'Failed to import speakers' });
+    } finally {
+        release();
+    }
+});
+
+// ==== PUBLIC SPEAKERS API (No auth required) ====
+// Only live speakers (see speakerVisibility) and only their public fields (see publicSpeaker);
+// the admin panel uses /api/admin/speakers
+// ?q=&topic=&topic=&feeBand=$&lang=en|fr&page=&limit=&sort=name|-name|newest|oldest
+app.get('/api/speakers', async (req, res) => {
+    try {
+        const { value: query, errors } = parseSpeakerQuery(req.query);
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const all = await storage.speakers.all();
+        const speakers = all.filter(isPublicSpeaker);
+        const result = searchSpeakers(speakers, query);
+        setPublicCaching(res, await publicSpeakersModifiedAt(all));
+        result.items = result.items.map(publicSpeaker);
+        if (query.localize) {
+            result.items = result.items.map(s => localizeSpeaker(s, query.lang));
+            res.set('Content-Language', query.lang);
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Get speakers error:', err);
+        res.status(500).json({ error: 'Failed to get speakers' });
+    }
+});
+
+// ?lang= returns the localized shape; without it the public fields in every locale. Only live speakers,
+// so the ETag is Express's body hash for caching: the admin editor reads /api/admin/speakers/:id, whose
+// ETag is the version tag writes check
+app.get('/api/speakers/:id', async (req, res) => {
+    const { lang } = req.query;
+    if (lang !== undefined && !isLocale(lang)) {
+        return sendValidationErrors(res, { lang: `Must be one of: ${localeCodes().join(', ')}` });
+    }
+    try {
+        const s = await storage.speakers.get(parseInt(req.params.id));
+        if (!s || !isPublicSpeaker(s)) return res.status(404).json({ error: 'Speaker not found' });
+        setPublicCaching(res, await publicSpeakersModifiedAt([s]));
+        if (lang !== undefined) {
+            res.set('Content-Language', lang);
+            return res.json(localizeSpeaker(publicSpeaker(s), lang));
+        }
+        res.json(publicSpeaker(s));
+    } catch (err) {
+        console.error('Get speaker error:', err);
+        res.status(500).json({ error: 'Failed to get speaker' });
+    }
+});
+
+// Other live speakers sharing topics with this one (see relatedSpeakers), each with `sharedTopics`
+// ({ id, label }). ?lang= localizes them like /api/speakers/:id; ?limit= (default 4, max 20)
+app.get('/api/speakers/:id/related', async (req, res) => {
+    try {
+        const { lang } = req.query;
+        const limit = req.query.limit === undefined ? RELATED_DEFAULT_LIMIT : Number(req.query.limit);
+        const errors = {};
+        if (lang !== undefined && !isLocale(lang)) errors.lang = `Must be one of: ${localeCodes().join(', ')}`;
+        if (!Number.isInteger(limit) || limit < 1 || limit > RELATED_MAX_LIMIT) errors.limit = `Must be between 1 and ${RELATED_MAX_LIMIT}`;
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const all = await storage.speakers.all();
+        const speaker = all.find(s => s.id === parseInt(req.params.id));
+        if (!speaker || !isPublicSpeaker(speaker)) return res.status(404).json({ error: 'Speaker not found' });
+
+        const topics = await readTopics();
+        const live = all.filter(isPublicSpeaker);
+        setPublicCaching(res, await publicSpeakersModifiedAt(all));
+        if (lang !== undefined) res.set('Content-Language', lang);
+        const items = relatedSpeakers(speaker, live, lang || BASE_LOCALE).slice(0, limit).map(({ speaker: s, shared }) => ({
+            ...(lang !== undefined ? localizeSpeaker(publicSpeaker(s), lang) : publicSpeaker(s)),
+            sharedTopics: shared.map(id => topicById(topics, id)).filter(Boolean)
+                .map(t => ({ id: t.id, label: topicLabel(t, lang || BASE_LOCALE) }))
+        }));
+        res.json({ items });
+    } catch (err) {
+        console.error('Get related speakers error:', err);
+        res.status(500).json({ error: 'Failed to get related speakers' });
+    }
+});
+
+// ==== PROTECTED SPEAKERS API (Auth required) ====
+// Every speaker whatever its status, with every field plus its current `visibility` and `feeBand`.
+// Same query as /api/speakers plus ?status=draft|scheduled|published|archived (repeatable)
+app.get('/api/admin/speakers', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const { value: query, errors } = parseSpeakerQuery(req.query);
+        const statuses = [].concat(req.query.status || []);
+        const unknown = statuses.filter(st => !SPEAKER_STATUSES.includes(st));
+        if (unknown.length) errors.status = `Must be one of: ${SPEAKER_STATUSES.join(', ')}`;
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const speakers = await storage.speakers.all();
+        const result = searchSpeakers(speakers.filter(s => !statuses.length || statuses.includes(s.status)), query);
+        result.items = result.items.map(s => ({
+            ...(query.localize ? localizeSpeaker(s, query.lang) : s),
+            visibility: speakerVisibility(s),
+            feeBand: feeBand(s)
+        }));
+        // Counted over the whole roster, whatever the filters
+        const counts = Object.fromEntries(SPEAKER_VISIBILITIES.map(v => [v, 0]));
+        speakers.forEach(s => counts[speakerVisibility(s)]++);
+        result.facets.visibility = counts;
+        res.json(result);
+    } catch (err) {
+        console.error('Get admin speakers error:', err);
+        res.status(500).json({ error: 'Failed to get speakers' });
+    }
+});
+
+// The raw record with its ETag, for editing
+app.get('/api/admin/speakers/:id', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const s = await storage.speakers.get(parseInt(req.params.id));
+        if (!s) return res.status(404).json({ error: 'Speaker not found' });
+        res.set('ETag', etagFor(s));
+        res.json(s);
+    } catch (err) {
+        console.error('Get admin speaker error:', err);
+        res.status(500).json({ error: 'Failed to get speaker' });
+    }
+});
+
+app.post('/api/speakers', requirePermission('speakers:write'), async (req, res) => {
+    const { value, errors } = validateSpeaker(req.body);
+    if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+    const release = await lockFile(SPEAKERS_LOCK);
+    try {
+        const speakers = await storage.speakers.all();
+        const topics = await readTopics();
+        const tagged = resolveSpeakerTopics(value, topics);
+        const newSpeaker = applyTopicLabels({
+            id: await nextSpeakerId(speakers),
+            ...emptySpeaker(),
+            ...tagged.value
+        }, topics);
+        const recordErrors = { ...tagged.errors, ...speakerRecordErrors(newSpeaker) };
+        if (Object.keys(recordErrors).length) return sendValidationErrors(res, recordErrors);
+        assignSlug(newSpeaker, await slugOwners(speakers));
+        await storage.speakers.create(newSpeaker);
+        await recordRevision({ entity: 'speaker', entityId: newSpeaker.id, action: 'create', author: req.session.username, before: null, after: newSpeaker });
+        res.set('ETag', etagFor(newSpeaker));
+        res.status(201).json(newSpeaker);
+    } catch (err) {
+        console.error('Create speaker error:', err);
+        res.status(500).json({ error: 'Failed to create speaker' });
+    } finally {
+        release();
+    }
+});
+
+app.put('/api/speakers/:id', requirePermission('speakers:write'), async (req, res) => {
+    const { value, errors } = validateSpeaker(req.body);
+    if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+    const release = await lockFile(SPEAKERS_LOCK);
+    try {
+        const before = await storage.speakers.get(parseInt(req.params.id));
+        if (!before) return res.status(404).json({ error: 'Speaker not found' });
+        if (isStale(req, before)) return sendConflict(res, before);
+        const topics = await readTopics();
+        const tagged = resolveSpeakerTopics(value, topics);
+        const updated = applyTopicLabels({ ...before, ...tagged.value, id: before.id, slug: before.slug }, topics);
+        const recordErrors = { ...tagged.errors, ...speakerRecordErrors(updated) };
+        if (Object.keys(recordErrors).length) return sendValidationErrors(res, recordErrors);
+        await storage.speakers.update(updated);
+        await recordRevision({ entity: 'speaker', entityId: before.id, action: 'update', author: req.session.username, before, after: updated });
+        res.set('ETag', etagFor(updated));
+        res.json(updated);
+    } catch (err) {
+        console.error('Update speaker error:', err);
+        res.status(500).json({ error: 'Failed to update speaker' });
+    } finally {
+        release();
+    }
+});
+
+app.delete('/api/speakers/:id', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(SPEAKERS_LOCK);
+    try {
+        const target = await storage.speakers.get(parseInt(req.params.id));
+        if (!target) return res.status(404).json({ error: 'Not found' });
+        if (isStale(req, target)) return sendConflict(res, target);
+
+        // Move to the trash instead of dropping the record
+        const releaseTrash = await lockFile(TRASH_FILE);
+        try {
+            const trash = await readTrash();
+            trash.push({ speaker: target, deletedAt: new Date().toISOString(), deletedBy: req.session.username });
+            await writeJsonAtomic(TRASH_FILE, trash);
+        } finally {
+            releaseTrash();
+        }
+
+        await storage.speakers.remove(target.id);
+        await recordRevision({ entity: 'speaker', entityId: target.id, action: 'delete', author: req.session.username, before: target, after: null });
+        res.json({ message: 'Moved to trash' });
+    } catch (err) {
+        console.error('Delete speaker error:', err);
+        res.status(500).json({ error: 'Failed to delete speaker' });
+    } finally {
+        release();
+    }
+});
+
+// Issues a preview link for the profile page; works whatever the status until it expires.
+// Body: { hours } (default 72, at most 30 days)
+app.post('/api/speakers/:id/preview', requirePermission('speakers:write'), async (req, res) => {
+    const hours = req.body.hours === undefined ? PREVIEW_DEFAULT_HOURS : Number(req.body.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > PREVIEW_MAX_HOURS) {
+        return sendValidationErrors(res, { hours: `Must be more than 0 and at most ${PREVIEW_MAX_HOURS}` });
+    }
+
+    const release = await lockFile(PREVIEWS_FILE);
+    try {
+        const speaker = await storage.speakers.get(parseInt(req.params.id));
+        if (!speaker) return res.status(404).json({ error: 'Speaker not found' });
+
+        const now = Date.now();
+        const token = crypto.randomBytes(24).toString('hex');
+        const preview = {
+            tokenHash: hashPreviewToken(token),
+            speakerId: speaker.id,
+            createdBy: req.session.username,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + hours * 60 * 60 * 1000).toISOString()
+        };
+        // Expired links are dropped whenever a new one is issued
+        const previews = (await readPreviews()).filter(p => Date.parse(p.expiresAt) > now);
+        previews.push(preview);
+        await writeJsonAtomic(PREVIEWS_FILE, previews);
+
+        const base = siteUrl(req);
+        res.status(201).json({
+            expiresAt: preview.expiresAt,
+            urls: Object.fromEntries(localeCodes().map(l => [l, `${base}${profilePath(speaker, l)}?preview=${token}`]))
+        });
+    } catch (err) {
+        console.error('Create preview error:', err);
+        res.status(500).json({ error: 'Failed to create preview link' });
+    } finally {
+        release();
+    }
+});
+
+// Revokes every preview link issued for the speaker
+app.delete('/api/speakers/:id/preview', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(PREVIEWS_FILE);
+    try {
+        const speakerId = parseInt(req.params.id);
+        const previews = await readPreviews();
+        const kept = previews.filter(p => p.speakerId !== speakerId && Date.parse(p.expiresAt) > Date.now());
+        await writeJsonAtomic(PREVIEWS_FILE, kept);
+        res.json({ message: 'Preview links revoked' });
+    } catch (err) {
+        console.error('Revoke preview error:', err);
+        res.status(500).json({ error: 'Failed to revoke preview links' });
+    } finally {
+        release();
+    }
+});
+
+// ==== TOPICS (Auth required) ====
+// The registry behind speakers' topicIds (see Topic Registry). Renames and merges re-tag every speaker
+// using the topic, with a revision each; replaced labels stay on as synonyms so free text still resolves.
+function topicSummary(topic, speakers) {
+    return { ...topic, speakers: speakers.filter(s => (s.topicIds || []).includes(topic.id)).length, etag: etagFor(topic) };
+}
+
+// Writes the registry, then the speakers whose labels changed
+async function saveRetaggedSpeakers(req, topics, speakers, ids) {
+    await writeJsonAtomic(TOPICS_FILE, topics);
+    const changes = retagSpeakers(speakers, ids, topics);
+    if (!changes.length) return 0;
+    await storage.speakers.upsertMany(changes.map(c => c.after));
+    await recordRevisions(changes.map(({ before, after }) => ({
+        entity: 'speaker',
+        entityId: after.id,
+        action: 'update',
+        author: req.session.username,
+        before,
+        after
+    })));
+    return changes.length;
+}
+
+app.get('/api/topics', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const [topics, speakers] = await Promise.all([readTopics(), storage.speakers.all()]);
+        const lang = isLocale(req.query.lang) ? req.query.lang : BASE_LOCALE;
+        res.json(topics
+            .map(t => topicSummary(t, speakers))
+            .sort((a, b) => topicLabel(a, lang).localeCompare(topicLabel(b, lang), lang, { sensitivity: 'base' })));
+    } catch (err) {
+        console.error('Get topics error:', err);
+        res.status(500).json({ error: 'Failed to get topics' });
+    }
+});
+
+// { labels: { en, fr }, synonyms }; the id is derived from the English label
+app.post('/api/topics', requirePermission('speakers:write'), async (req, res) => {
+    const { value, errors } = validateTopic(req.body);
+    if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+    const release = await lockFile(TOPICS_FILE);
+    try {
+        const topics = await readTopics();
+        const labels = Object.fromEntries(Object.entries(value.labels || {}).filter(([, label]) => hasValue(label)));
+        const now = new Date().toISOString();
+        const topic = tidySynonyms({
+            id: newTopicId(labels[BASE_LOCALE], topics),
+            labels,
+            synonyms: value.synonyms || [],
+            aliases: [],
+            createdAt: now,
+            updatedAt: now
+        });
+        const recordErrors = topicRecordErrors(topic, topics);
+        if (Object.keys(recordErrors).length) return sendValidationErrors(res, recordErrors);
+
+        topics.push(topic);
+        await writeJsonAtomic(TOPICS_FILE, topics);
+        res.status(201).json(topicSummary(topic, []));
+    } catch (err) {
+        console.error('Create topic error:', err);
+        res.status(500).json({ error: 'Failed to create topic' });
+    } finally {
+        release();
+    }
+});
+
+// Labels are merged per locale (an empty one removes that translation); synonyms, when sent, replace the list
+app.put('/api/topics/:id', requirePermission('speakers:write'), async (req, res) => {
+    const { value, errors } = validateTopic(req.body);
+    if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+    const release = await lockFile(SPEAKERS_LOCK);
+    const releaseTopics = await lockFile(TOPICS_FILE);
+    try {
+        const topics = await readTopics();
+        const index = topics.findIndex(t => t.id === req.params.id);
+        if (index === -1) return res.status(404).json({ error: 'Topic not found' });
+        const before = topics[index];
+        if (isStale(req, before)) return sendConflict(res, before);
+
+        const labels = Object.fromEntries(Object.entries({ ...before.labels, ...value.labels }).filter(([, label]) => hasValue(label)));
+        const kept = Object.values(labels).map(normalizeText);
+        const replaced = Object.values(before.labels).filter(label => !kept.includes(normalizeText(label)));
+        const topic = tidySynonyms({
+            ...before,
+            labels,
+            synonyms: [...(value.synonyms || before.synonyms), ...replaced],
+            updatedAt: new Date().toISOString()
+        });
+        const recordErrors = topicRecordErrors(topic, topics);
+        if (Object.keys(recordErrors).length) return sendValidationErrors(res, recordErrors);
+
+        topics[index] = topic;
+        const speakers = await storage.speakers.all();
+        const retagged = await saveRetaggedSpeakers(req, topics, speakers, [topic.id]);
+        res.json({ ...topicSummary(topic, speakers), retagged });
+    } catch (err) {
+        console.error('Update topic error:', err);
+        res.status(500).json({ error: 'Failed to update topic' });
+    } finally {
+        releaseTopics();
+        release();
+    }
+});
+
+// { into: <topic id> }: speakers tagged with this topic get `into` instead, and this topic's labels
+// and synonyms become synonyms of `into`. The old id keeps resolving to `into` (its aliases).
+app.post('/api/topics/:id/merge', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(SPEAKERS_LOCK);
+    const releaseTopics = await lockFile(TOPICS_FILE);
+    try {
+        const topics = await readTopics();
+        const source = topics.find(t => t.id === req.params.id);
+        if (!source) return res.status(404).json({ error: 'Topic not found' });
+        if (isStale(req, source)) return sendConflict(res, source);
+
+        const into = req.body && req.body.into;
+        const target = typeof into === 'string' ? topics.find(t => t.id === into) : null;
+        if (!target) return sendValidationErrors(res, { into: 'Must be the id of another topic' });
+        if (target === source) return sendValidationErrors(res, { into: 'Cannot merge a topic into itself' });
+
+        const merged = tidySynonyms({
+            ...target,
+            synonyms: [...target.synonyms, ...Object.values(source.labels), ...source.synonyms],
+            aliases: [...target.aliases, source.id, ...source.aliases],
+            updatedAt: new Date().toISOString()
+        });
+        const remaining = topics.filter(t => t !== source).map(t => t === target ? merged : t);
+        const speakers = await storage.speakers.all();
+        const retagged = await saveRetaggedSpeakers(req, remaining, speakers, [source.id]);
+        res.json({ ...topicSummary(merged, speakers.map(s => applyTopicLabels({ ...s }, remaining))), retagged });
+    } catch (err) {
+        console.error('Merge topic error:', err);
+        res.status(500).json({ error: 'Failed to merge topics' });
+    } finally {
+        releaseTopics();
+        release();
+    }
+});
+
+// Only unused topics can be deleted; merge a topic into another one to retire it
+app.delete('/api/topics/:id', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(SPEAKERS_LOCK);
+    const releaseTopics = await lockFile(TOPICS_FILE);
+    try {
+        const topics = await readTopics();
+        const target = topics.find(t => t.id === req.params.id);
+        if (!target) return res.status(404).json({ error: 'Topic not found' });
+        if (isStale(req, target)) return sendConflict(res, target);
+
+        const { speakers: count } = topicSummary(target, await storage.speakers.all());
+        if (count) {
+            return res.status(409).json({ error: `Topic is used by ${count} speaker(s); remove it from them or merge it into another topic`, speakers: count });
+        }
+
+        await writeJsonAtomic(TOPICS_FILE, topics.filter(t => t !== target));
+        res.json({ message: 'Topic deleted' });
+    } catch (err) {
+        console.error('Delete topic error:', err);
+        res.status(500).json({ error: 'Failed to delete topic' });
+    } finally {
+        releaseTopics();
+        release();
+    }
+});
+
+// ==== PUBLIC CONTENT API (No auth required for reading) ====
+// ?lang= resolves every key through the locale's fallback chain; without it the raw per-locale object
+app.get('/api/content', async (req, res) => {
+    const { lang } = req.query;
+    if (lang !== undefined && !isLocale(lang)) {
+        return sendValidationErrors(res, { lang: `Must be one of: ${localeCodes().join(', ')}` });
+    }
+    try {
+        const content = await storage.content.get();
+        const modifiedAt = await storage.lastModified('content');
+        if (lang !== undefined) {
+            // Fallback chains come from the locale registry, so its changes count too
+            setPublicCaching(res, new Date(Math.max(modifiedAt, localesModifiedAt || 0)));
+            res.set('Content-Language', lang);
+            return res.json(resolveContent(content, lang));
+        }
+        setPublicCaching(res, modifiedAt);
+        res.set('ETag', etagFor(content));
+        res.json(content);
+    } catch (err) {
+        console.error('Get content error:', err);
+        res.status(500).json({ error: 'Failed to get content' });
+    }
+});
 
 // ==== PROTECTED CONTENT API (Auth required for updating) ====
-app.put('/api/content', requireAuth, async (req, res) => {
-    const updated = req.body;
-    await writeContentCached(updated);
-    res.json({ message: 'Content updated successfully' });
+app.put('/api/content', requirePermission('content:write'), async (req, res) => {
+    const { value: submitted, errors } = validateContent(req.body);
+    if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+    const release = await lockFile(CONTENT_LOCK);
+    try {
+        const current = await storage.content.get();
+        if (isStale(req, current)) return sendConflict(res, current);
+        // Merged key by key: locales and keys left out of the payload keep their strings (the admin
+        // form only edits some of them); an empty string clears a key
+        const updated = { ...current };
+        for (const [lang, strings] of Object.entries(submitted)) {
+            updated[lang] = { ...(current[lang] || {}), ...strings };
+        }
+        await storage.content.set(updated);
+        await recordRevision({ entity: 'content', action: 'update', author: req.session.username, before: current, after: updated });
+        res.set('ETag', etagFor(updated));
+        res.json({ message: 'Content updated successfully' });
+    } catch (err) {
+        console.error('Update content error:', err);
+        res.status(500).json({ error: 'Failed to update content' });
+    } finally {
+        release();
+    }
+});
+
+// ==== LOCALES & TRANSLATION COVERAGE ====
+const LOCALE_SCHEMA = {
+    code: { type: 'string', maxLength: 10 },
+    name: { type: 'string', maxLength: 50 },
+    fallback: { type: 'array', maxItems: 10, maxLength: 10 }
+};
+
+// Checks a create (`code` given) or update (`existing` given) payload against the registry
+function validateLocale(input, existing) {
+    const { value, errors } = validateFields(input, LOCALE_SCHEMA, { ignore: existing ? ['code'] : [] });
+    const code = existing ? existing.code : value.code;
+
+    if (!existing) {
+        if (!value.code) errors.code = errors.code || 'Required';
+        else if (!LOCALE_CODE_PATTERN.test(value.code)) errors.code = 'Must look like "es" or "pt-BR"';
+        else if (isLocale(value.code)) errors.code = 'Locale already registered';
+        if (!value.name) errors.name = errors.name || 'Required';
+    } else if ('name' in value && !value.name) {
+        errors.name = 'Required';
+    }
+
+    if (value.fallback) {
+        const unknown = value.fallback.filter(c => !isLocale(c) || c === code);
+        if (unknown.length) errors.fallback = `Unknown or self-referencing locales: ${unknown.join(', ')}`;
+    }
+
+    return { value, errors };
+}
+
+// A field is expected once any locale has filled it in; it's untranslated while this locale's copy is empty
+function translationCoverage(locale, content, speakers) {
+    const strings = content[locale.code] || {};
+    const missing = CONTENT_KEYS.filter(key => !(key in strings));
+    const empty = CONTENT_KEYS.filter(key => key in strings && !hasValue(strings[key]));
+    const contentTranslated = CONTENT_KEYS.length - missing.length - empty.length;
+
+    let expected = 0;
+    let gaps = 0;
+    const untranslated = [];
+    for (const speaker of speakers) {
+        const fields = Object.keys(SPEAKER_LOCALIZED_FIELDS)
+            .filter(field => localeCodes().some(c => hasValue(speaker[localeFieldKey(field, c)])));
+        const todo = fields.filter(field => !hasValue(speaker[localeFieldKey(field, locale.code)]));
+        expected += fields.length;
+        gaps += todo.length;
+        if (todo.length) {
+            untranslated.push({
+                id: speaker.id,
+                name: localizedField(speaker, 'name', locale.code),
+                fields: todo.map(field => localeFieldKey(field, locale.code))
+            });
+        }
+    }
+
+    const percent = (done, total) => total ? Math.round(done / total * 100) : 100;
+    return {
+        ...locale,
+        content: { total: CONTENT_KEYS.length, translated: contentTranslated, coverage: percent(contentTranslated, CONTENT_KEYS.length), missing, empty },
+        speakers: { total: expected, translated: expected - gaps, coverage: percent(expected - gaps, expected), untranslated }
+    };
+}
+
+app.get('/api/locales', (req, res) => {
+    setPublicCaching(res, localesModifiedAt);
+    res.json({ base: BASE_LOCALE, locales });
+});
+
+app.post('/api/locales', requirePermission('locales:manage'), async (req, res) => {
+    const release = await lockFile(LOCALES_FILE);
+    try {
+        const { value, errors } = validateLocale(req.body);
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const locale = { code: value.code, name: value.name, fallback: value.fallback || [BASE_LOCALE] };
+        const next = [...locales, locale];
+        await writeJsonAtomic(LOCALES_FILE, next);
+        locales = next;
+        localesModifiedAt = new Date();
+        res.status(201).json(locale);
+    } catch (err) {
+        console.error('Create locale error:', err);
+        res.status(500).json({ error: 'Failed to register locale' });
+    } finally {
+        release();
+    }
+});
+
+app.put('/api/locales/:code', requirePermission('locales:manage'), async (req, res) => {
+    const release = await lockFile(LOCALES_FILE);
+    try {
+        const existing = locales.find(l => l.code === req.params.code);
+        if (!existing) return res.status(404).json({ error: 'Locale not found' });
+
+        const { value, errors } = validateLocale(req.body, existing);
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const locale = { ...existing, ...value };
+        const next = locales.map(l => l === existing ? locale : l);
+        await writeJsonAtomic(LOCALES_FILE, next);
+        locales = next;
+        localesModifiedAt = new Date();
+        res.json(locale);
+    } catch (err) {
+        console.error('Update locale error:', err);
+        res.status(500).json({ error: 'Failed to update locale' });
+    } finally {
+        release();
+    }
+});
+
+// Missing/empty content keys and untranslated speaker fields, per locale (or just ?locale=xx)
+app.get('/api/locales/coverage', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const { locale } = req.query;
+        if (locale !== undefined && !isLocale(locale)) {
+            return sendValidationErrors(res, { locale: `Must be one of: ${localeCodes().join(', ')}` });
+        }
+        const content = await storage.content.get();
+        const speakers = await storage.speakers.all();
+        const report = locales
+            .filter(l => locale === undefined || l.code === locale)
+            .map(l => translationCoverage(l, content, speakers));
+        res.json(report);
+    } catch (err) {
+        console.error('Translation coverage error:', err);
+        res.status(500).json({ error: 'Failed to build translation report' });
+    }
+});
+
+// ==== REVISIONS & TRASH API (Auth required) ====
+app.get('/api/speakers/:id/revisions', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const revisions = await readRevisions();
+        const list = revisions
+            .filter(r => r.entity === 'speaker' && r.entityId === id)
+            .reverse()
+            .map(summarizeRevision);
+        res.json(list);
+    } catch (err) {
+        console.error('Get speaker revisions error:', err);
+        res.status(500).json({ error: 'Failed to get revisions' });
+    }
+});
+
+// ?key=heroTitle matches every language, ?key=fr.heroTitle only French
+app.get('/api/content/revisions', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const { key } = req.query;
+        const revisions = await readRevisions();
+        const list = revisions
+            .filter(r => r.entity === 'content')
+            .filter(r => !key || r.diff.some(change => change.field === key || change.field.endsWith(`.${key}`)))
+            .reverse()
+            .map(summarizeRevision);
+        res.json(list);
+    } catch (err) {
+        console.error('Get content revisions error:', err);
+        res.status(500).json({ error: 'Failed to get revisions' });
+    }
+});
+
+app.get('/api/revisions/:id', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const revisions = await readRevisions();
+        const revision = revisions.find(r => r.id === parseInt(req.params.id));
+        if (!revision) return res.status(404).json({ error: 'Revision not found' });
+        res.json(revision);
+    } catch (err) {
+        console.error('Get revision error:', err);
+        res.status(500).json({ error: 'Failed to get revision' });
+    }
+});
+
+// Restore the state saved by a revision. For content, { key } limits the restore to one key.
+app.post('/api/revisions/:id/restore', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const revisions = await readRevisions();
+        const revision = revisions.find(r => r.id === parseInt(req.params.id));
+        if (!revision) return res.status(404).json({ error: 'Revision not found' });
+        if (!revision.snapshot) {
+            return res.status(400).json({ error: 'This revision is a deletion; restore the speaker from the trash or an earlier revision' });
+        }
+
+        const permission = revision.entity === 'speaker' ? 'speakers:write' : 'content:write';
+        if (!hasPermission(req.user.role, permission)) {
+            return res.status(403).json({ error: 'Forbidden - Insufficient permissions' });
+        }
+
+        if (revision.entity === 'speaker') {
+            const release = await lockFile(SPEAKERS_LOCK);
+            try {
+                const before = await storage.speakers.get(revision.entityId);
+                if (!before) {
+                    return res.status(409).json({ error: 'Speaker is deleted; restore it from the trash first' });
+                }
+                if (isStale(req, before)) return sendConflict(res, before);
+                // Snapshots taken before publishing states and booking details existed keep the speaker's current ones
+                const kept = Object.fromEntries([...Object.keys(SPEAKER_PUBLISHING_FIELDS), ...Object.keys(SPEAKER_INTERNAL_FIELDS)]
+                    .map(key => [key, before[key]]));
+                const restored = retagStoredSpeaker({
+                    ...emptySpeaker(), ...kept, ...revision.snapshot, topicIds: revision.snapshot.topicIds, id: before.id, slug: before.slug
+                }, await readTopics());
+                await storage.speakers.update(restored);
+                await recordRevision({ entity: 'speaker', entityId: before.id, action: 'restore', author: req.session.username, before, after: restored });
+                res.set('ETag', etagFor(restored));
+                return res.json(restored);
+            } finally {
+                release();
+            }
+        }
+
+        const release = await lockFile(CONTENT_LOCK);
+        try {
+            const current = await storage.content.get();
+            if (isStale(req, current)) return sendConflict(res, current);
+            let restored = revision.snapshot;
+            if (req.body.key) {
+                const [lang, key] = String(req.body.key).includes('.') ? String(req.body.key).split('.') : [null, String(req.body.key)];
+                if (!CONTENT_KEYS.includes(key) || (lang && !isLocale(lang))) {
+                    return res.status(400).json({ error: 'Unknown content key' });
+                }
+                restored = JSON.parse(JSON.stringify(current));
+                for (const l of Object.keys(revision.snapshot)) {
+                    if (lang && l !== lang) continue;
+                    restored[l] = restored[l] || {};
+                    restored[l][key] = revision.snapshot[l][key];
+                }
+            }
+            await storage.content.set(restored);
+            await recordRevision({ entity: 'content', action: 'restore', author: req.session.username, before: current, after: restored });
+            res.set('ETag', etagFor(restored));
+            res.json(restored);
+        } finally {
+            release();
+        }
+    } catch (err) {
+        console.error('Restore revision error:', err);
+        res.status(500).json({ error: 'Failed to restore revision' });
+    }
+});
+
+app.get('/api/trash', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const trash = await readTrash();
+        res.json(trash.slice().reverse());
+    } catch (err) {
+        console.error('Get trash error:', err);
+        res.status(500).json({ error: 'Failed to get trash' });
+    }
+});
+
+app.post('/api/trash/:id/restore', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(SPEAKERS_LOCK);
+    const releaseTrash = await lockFile(TRASH_FILE);
+    try {
+        const id = parseInt(req.params.id);
+        const trash = await readTrash();
+        const entry = trash.find(t => t.speaker.id === id);
+        if (!entry) return res.status(404).json({ error: 'Speaker not found in trash' });
+
+        const speakers = await storage.speakers.all();
+        // Topics may have been renamed or merged while it was in the trash
+        const speaker = retagStoredSpeaker(entry.speaker, await readTopics());
+        assignSlug(speaker, [...speakers, ...trash.filter(t => t !== entry).map(t => t.speaker)]);
+        await storage.speakers.create(speaker);
+        await writeJsonAtomic(TRASH_FILE, trash.filter(t => t !== entry));
+        await recordRevision({ entity: 'speaker', entityId: id, action: 'restore', author: req.session.username, before: null, after: speaker });
+        res.json(speaker);
+    } catch (err) {
+        console.error('Restore from trash error:', err);
+        res.status(500).json({ error: 'Failed to restore speaker' });
+    } finally {
+        releaseTrash();
+        release();
+    }
+});
+
+// Permanently delete; revisions are kept so the speaker can still be inspected, availability and the calendar feed go
+app.delete('/api/trash/:id', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(TRASH_FILE);
+    try {
+        const id = parseInt(req.params.id);
+        const trash = await readTrash();
+        const remaining = trash.filter(t => t.speaker.id !== id);
+        if (remaining.length === trash.length) return res.status(404).json({ error: 'Speaker not found in trash' });
+        await writeJsonAtomic(TRASH_FILE, remaining);
+        await dropSpeakerAvailability(id);
+        res.json({ message: 'Permanently deleted' });
+    } catch (err) {
+        console.error('Purge trash error:', err);
+        res.status(500).json({ error: 'Failed to delete speaker' });
+    } finally {
+        release();
+    }
+});
+
+// ==== PUBLIC CONTACT FORM (No auth required) ====
+const INQUIRY_STATUSES = ['new', 'contacted', 'quoted', 'booked', 'declined'];
+
+async function readInquiries() {
+    const data = await fs.readFile(INQUIRIES_FILE, 'utf8');
+    return JSON.parse(data);
+}
+async function writeInquiries(data) {
+    await writeJsonAtomic(INQUIRIES_FILE, data);
+}
+
+app.post('/api/contact', async (req, res) => {
+    // Accepted submissions count against the sender's IP, including the ones the honeypot drops
+    const throttleKeys = contactThrottleKeys(req);
+    const lockedFor = throttleRemaining(throttleKeys);
+    if (lockedFor > 0) return sendThrottled(res, lockedFor, 'Too many inquiries from this address.');
+
+    const release = await lockFile(INQUIRIES_FILE);
+    try {
+        const body = isPlainObject(req.body) ? req.body : {};
+
+        // Honeypot: the form hides the "website" field, so only bots fill it in. They get the
+        // usual answer but nothing is stored.
+        if (body.website) {
+            recordThrottleHit(throttleKeys);
+            return res.status(201).json({ success: true, message: 'Inquiry received' });
+        }
+
+        const invalid = ['name', 'email', 'topic', 'details', 'language'].filter(field => body[field] != null && typeof body[field] !== 'string');
+        if (invalid.length) {
+            return res.status(400).json({ error: `Must be text: ${invalid.join(', ')}` });
+        }
+        const name = (body.name || '').trim();
+        const email = (body.email || '').trim();
+        const topic = (body.topic || '').trim();
+        const details = (body.details || '').trim();
+        const language = body.language || BASE_LOCALE;
+        if (!isLocale(language)) {
+            return res.status(400).json({ error: `Language must be one of: ${localeCodes().join(', ')}` });
+        }
+
+        if (!name || !email || !topic || !details) {
+            return res.status(400).json({ error: 'Name, email, topic and details are required' });
+        }
+        if (!EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ error: 'Invalid email address' });
+        }
+        if (name.length > 200 || email.length > 200 || topic.length > 500 || details.length > 5000) {
+            return res.status(400).json({ error: 'Inquiry is too long' });
+        }
+
+        // Optional speaker the visitor asked about
+        let speakerId = null;
+        if (body.speakerId !== undefined && body.speakerId !== null && body.speakerId !== '') {
+            speakerId = parseInt(body.speakerId);
+            const speaker = await storage.speakers.get(speakerId);
+            if (!speaker || !isPublicSpeaker(speaker)) {
+                return res.status(400).json({ error: 'Requested speaker not found' });
+            }
+        }
+
+        const inquiries = await readInquiries();
+        const now = new Date().toISOString();
+        const inquiry = {
+            id: inquiries.length ? Math.max(...inquiries.map(i => i.id)) + 1 : 1,
+            name,
+            email,
+            topic,
+            details,
+            speakerId,
+            language,
+            status: 'new',
+            assignedTo: null,
+            notes: [],
+            history: [{ status: 'new', at: now, by: null }],
+            createdAt: now,
+            updatedAt: now
+        };
+        inquiries.push(inquiry);
+        await writeInquiries(inquiries);
+        recordThrottleHit(throttleKeys);
+
+        res.status(201).json({ success: true, message: 'Inquiry received', id: inquiry.id });
+    } catch (err) {
+        console.error('Contact form error:', err);
+        res.status(500).json({ error: 'Failed to submit inquiry' });
+    } finally {
+        release();
+    }
+});
+
+// ==== INQUIRIES INBOX (Auth required) ====
+app.get('/api/inquiries', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const { status, assignedTo, speakerId, q } = req.query;
+        if (status && !INQUIRY_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${INQUIRY_STATUSES.join(', ')}` });
+        }
+
+        let inquiries = await readInquiries();
+
+        if (status) inquiries = inquiries.filter(i => i.status === status);
+        if (assignedTo) {
+            inquiries = inquiries.filter(i => assignedTo === 'unassigned' ? !i.assignedTo : i.assignedTo === assignedTo);
+        }
+        if (speakerId) inquiries = inquiries.filter(i => i.speakerId === parseInt(speakerId));
+        if (q) {
+            const needle = String(q).toLowerCase();
+            inquiries = inquiries.filter(i =>
+                [i.name, i.email, i.topic, i.details].some(v => (v || '').toLowerCase().includes(needle))
+            );
+        }
+
+        // Newest first
+        inquiries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        res.json(inquiries.map(i => ({ ...i, etag: etagFor(i) })));
+    } catch (err) {
+        console.error('Get inquiries error:', err);
+        res.status(500).json({ error: 'Failed to get inquiries' });
+    }
+});
+
+app.get('/api/inquiries/:id', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const inquiries = await readInquiries();
+        const inquiry = inquiries.find(i => i.id === parseInt(req.params.id));
+        if (!inquiry) return res.status(404).json({ error: 'Inquiry not found' });
+        res.set('ETag', etagFor(inquiry));
+        res.json(inquiry);
+    } catch (err) {
+        console.error('Get inquiry error:', err);
+        res.status(500).json({ error: 'Failed to get inquiry' });
+    }
+});
+
+// Move through the status workflow and/or (re)assign to a team member
+app.patch('/api/inquiries/:id', requirePermission('inquiries:write'), async (req, res) => {
+    const release = await lockFile(INQUIRIES_FILE);
+    try {
+        const { status, assignedTo } = req.body;
+
+        if (status !== undefined && !INQUIRY_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${INQUIRY_STATUSES.join(', ')}` });
+        }
+
+        if (assignedTo) {
+            if (!await storage.users.get(assignedTo)) {
+                return res.status(400).json({ error: 'Assignee not found' });
+            }
+        }
+
+        const inquiries = await readInquiries();
+        const inquiry = inquiries.find(i => i.id === parseInt(req.params.id));
+        if (!inquiry) return res.status(404).json({ error: 'Inquiry not found' });
+        if (isStale(req, inquiry)) return sendConflict(res, inquiry);
+
+        const now = new Date().toISOString();
+        if (status !== undefined && status !== inquiry.status) {
+            inquiry.status = status;
+            inquiry.history.push({ status, at: now, by: req.session.username });
+        }
+        if (assignedTo !== undefined) {
+            inquiry.assignedTo = assignedTo || null;
+        }
+        inquiry.updatedAt = now;
+
+        await writeInquiries(inquiries);
+        res.set('ETag', etagFor(inquiry));
+        res.json(inquiry);
+    } catch (err) {
+        console.error('Update inquiry error:', err);
+        res.status(500).json({ error: 'Failed to update inquiry' });
+    } finally {
+        release();
+    }
+});
+
+// Internal notes (never shown to the client)
+app.post('/api/inquiries/:id/notes', requirePermission('inquiries:write'), async (req, res) => {
+    const release = await lockFile(INQUIRIES_FILE);
+    try {
+        const text = String(req.body.text || '').trim();
+        if (!text) {
+            return res.status(400).json({ error: 'Note text required' });
+        }
+        if (text.length > 5000) {
+            return res.status(400).json({ error: 'Note is too long' });
+        }
+
+        const inquiries = await readInquiries();
+        const inquiry = inquiries.find(i => i.id === parseInt(req.params.id));
+        if (!inquiry) return res.status(404).json({ error: 'Inquiry not found' });
+
+        const now = new Date().toISOString();
+        inquiry.notes.push({ text, author: req.session.username, createdAt: now });
+        inquiry.updatedAt = now;
+
+        await writeInquiries(inquiries);
+        res.status(201).json(inquiry);
+    } catch (err) {
+        console.error('Add inquiry note error:', err);
+        res.status(500).json({ error: 'Failed to add note' });
+    } finally {
+        release();
+    }
+});
+
+// ==== SPEAKER AVAILABILITY (Auth required, plus public check and iCal feed) ====
+// Entries keep the local wall-clock time and IANA time zone they were entered with; the UTC instants
+// derived from them (startUtc/endUtc, end exclusive) are what overlaps are checked against.
+// Dates without a time ("2026-11-03") are all-day entries and their end date is inclusive.
+const AVAILABILITY_TYPES = ['booking', 'hold', 'blackout'];
+const AVAILABILITY_SCHEMA = {
+    type: { type: 'string', maxLength: 20 },
+    start: { type: 'string', maxLength: 25 },
+    end: { type: 'string', maxLength: 25 },
+    timeZone: { type: 'string', maxLength: 100 },
+    title: { type: 'string', maxLength: 200 },
+    client: { type: 'string', maxLength: 200 },
+    location: { type: 'string', maxLength: 300 },
+    notes: { type: 'string', maxLength: 5000 }
+};
+// Server-owned; tolerated in request bodies so a fetched entry can be sent back as-is
+const AVAILABILITY_READONLY_FIELDS = ['id', 'speakerId', 'allDay', 'startUtc', 'endUtc', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'etag'];
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || 'America/Toronto';
+const LOCAL_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const LOCAL_DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+async function readAvailability() {
+    const data = await fs.readFile(AVAILABILITY_FILE, 'utf8');
+    return JSON.parse(data);
+}
+async function writeAvailability(data) {
+    await writeJsonAtomic(AVAILABILITY_FILE, data);
+}
+
+function isTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function timeZoneOffset(timestamp, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(timestamp)).map(p => [p.type, Number(p.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+}
+
+// Parses "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm[:ss]" as wall-clock time in `timeZone`; null when invalid
+function zonedToUtc(local, timeZone) {
+    const match = LOCAL_DATETIME_PATTERN.exec(local) || LOCAL_DATE_PATTERN.exec(local);
+    if (!match) return null;
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(v => Number(v || 0));
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    const check = new Date(wallClock);
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) return null;
+    // Second pass picks up a DST change between the guess and the real instant
+    const guess = wallClock - timeZoneOffset(wallClock, timeZone);
+    return wallClock - timeZoneOffset(guess, timeZone);
+}
+
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+// Validates a full entry (existing values merged with the payload) and derives its UTC range
+function validateAvailability(input, existing = {}) {
+    const { value, errors } = validateFields(input, AVAILABILITY_SCHEMA, { ignore: AVAILABILITY_READONLY_FIELDS });
+    const blank = Object.fromEntries(Object.keys(AVAILABILITY_SCHEMA).map(key => [key, '']));
+    const entry = { ...blank, timeZone: DEFAULT_TIME_ZONE, ...existing, ...value };
+
+    if (!AVAILABILITY_TYPES.includes(entry.type)) errors.type = `Must be one of: ${AVAILABILITY_TYPES.join(', ')}`;
+    if (!isTimeZone(entry.timeZone)) errors.timeZone = 'Must be an IANA time zone such as America/Toronto';
+    if (!entry.start) errors.start = errors.start || 'Required';
+    if (!entry.end) errors.end = errors.end || 'Required';
+    if (Object.keys(errors).length) return { value: entry, errors };
+
+    entry.allDay = LOCAL_DATE_PATTERN.test(entry.start);
+    if (LOCAL_DATE_PATTERN.test(entry.end) !== entry.allDay) {
+        errors.end = 'Start and end must both be dates or both be date-times';
+        return { value: entry, errors };
+    }
+
+    const startUtc = zonedToUtc(entry.start, entry.timeZone);
+    const endUtc = zonedToUtc(entry.allDay ? addDays(entry.end, 1) : entry.end, entry.timeZone);
+    if (startUtc === null) errors.start = 'Must be YYYY-MM-DD or YYYY-MM-DDTHH:mm';
+    if (endUtc === null) errors.end = 'Must be YYYY-MM-DD or YYYY-MM-DDTHH:mm';
+    if (startUtc !== null && endUtc !== null && endUtc <= startUtc) errors.end = 'Must be after start';
+
+    if (!Object.keys(errors).length) {
+        entry.startUtc = new Date(startUtc).toISOString();
+        entry.endUtc = new Date(endUtc).toISOString();
+    }
+    return { value: entry, errors };
+}
+
+// Several holds (first hold, second hold…) or blackouts may stack; anything involving a booking may not,
+// and nothing may be held or booked over a blackout
+function entriesConflict(a, b) {
+    if (a.type === b.type && a.type !== 'booking') return false;
+    return a.startUtc < b.endUtc && b.startUtc < a.endUtc;
+}
+
+function sendAvailabilityConflict(res, conflicts) {
+    res.status(409).json({
+        error: 'Overlaps existing availability',
+        conflicts: conflicts.map(c => ({ id: c.id, type: c.type, start: c.start, end: c.end, timeZone: c.timeZone, title: c.title }))
+    });
+}
+
+// Live speakers only: a trashed speaker's entries stay (for a restore) but drop out of every route, feed included
+function findSpeaker(id) {
+    return storage.speakers.get(id);
+}
+
+// Called when a speaker is purged from the trash
+async function dropSpeakerAvailability(speakerId) {
+    const releaseAvailability = await lockFile(AVAILABILITY_FILE);
+    try {
+        const entries = await readAvailability();
+        const remaining = entries.filter(e => e.speakerId !== speakerId);
+        if (remaining.length !== entries.length) await writeAvailability(remaining);
+    } finally {
+        releaseAvailability();
+    }
+    const releaseFeeds = await lockFile(CALENDAR_FEEDS_FILE);
+    try {
+        const feeds = await readCalendarFeeds();
+        if (feeds[speakerId]) {
+            delete feeds[speakerId];
+            await writeJsonAtomic(CALENDAR_FEEDS_FILE, feeds);
+        }
+    } finally {
+        releaseFeeds();
+    }
+}
+
+// Optional from/to query dates ("YYYY-MM-DD", `to` inclusive) as a UTC range in `timeZone`
+function parseDateRange(query, timeZone, errors) {
+    const range = {};
+    for (const [field, days] of [['from', 0], ['to', 1]]) {
+        if (query[field] === undefined || query[field] === '') continue;
+        const date = String(query[field]);
+        if (!LOCAL_DATE_PATTERN.test(date) || zonedToUtc(date, timeZone) === null) {
+            errors[field] = 'Must be YYYY-MM-DD';
+            continue;
+        }
+        range[field] = new Date(zonedToUtc(addDays(date, days), timeZone)).toISOString();
+    }
+    if (range.from && range.to && range.to <= range.from) errors.to = 'Must not be before from';
+    return range;
+}
+
+app.get('/api/speakers/:id/availability', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const speakerId = parseInt(req.params.id);
+        if (!await findSpeaker(speakerId)) return res.status(404).json({ error: 'Speaker not found' });
+
+        const { type } = req.query;
+        const timeZone = String(req.query.timeZone || DEFAULT_TIME_ZONE);
+        const errors = {};
+        if (type && !AVAILABILITY_TYPES.includes(type)) errors.type = `Must be one of: ${AVAILABILITY_TYPES.join(', ')}`;
+        if (!isTimeZone(timeZone)) errors.timeZone = 'Must be an IANA time zone such as America/Toronto';
+        const range = errors.timeZone ? {} : parseDateRange(req.query, timeZone, errors);
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        let entries = (await readAvailability()).filter(e => e.speakerId === speakerId);
+        if (type) entries = entries.filter(e => e.type === type);
+        // Both sides are full ISO instants, so string order is time order
+        if (range.from) entries = entries.filter(e => e.endUtc > range.from);
+        if (range.to) entries = entries.filter(e => e.startUtc < range.to);
+
+        entries.sort((a, b) => a.startUtc.localeCompare(b.startUtc));
+        res.json(entries.map(e => ({ ...e, etag: etagFor(e) })));
+    } catch (err) {
+        console.error('Get availability error:', err);
+        res.status(500).json({ error: 'Failed to get availability' });
+    }
+});
+
+app.post('/api/speakers/:id/availability', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(AVAILABILITY_FILE);
+    try {
+        const speakerId = parseInt(req.params.id);
+        if (!await findSpeaker(speakerId)) return res.status(404).json({ error: 'Speaker not found' });
+
+        const { value, errors } = validateAvailability(req.body);
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const entries = await readAvailability();
+        const conflicts = entries.filter(e => e.speakerId === speakerId && entriesConflict(e, value));
+        if (conflicts.length) return sendAvailabilityConflict(res, conflicts);
+
+        const now = new Date().toISOString();
+        const entry = {
+            id: entries.length ? Math.max(...entries.map(e => e.id)) + 1 : 1,
+            speakerId,
+            ...value,
+            createdAt: now,
+            createdBy: req.session.username,
+            updatedAt: now
+        };
+        entries.push(entry);
+        await writeAvailability(entries);
+
+        res.set('ETag', etagFor(entry));
+        res.status(201).json(entry);
+    } catch (err) {
+        console.error('Create availability error:', err);
+        res.status(500).json({ error: 'Failed to save availability' });
+    } finally {
+        release();
+    }
+});
+
+// Partial update: only the fields sent change (e.g. { type: 'booking' } to confirm a hold)
+app.put('/api/speakers/:id/availability/:entryId', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(AVAILABILITY_FILE);
+    try {
+        const speakerId = parseInt(req.params.id);
+        const entries = await readAvailability();
+        const index = entries.findIndex(e => e.id === parseInt(req.params.entryId) && e.speakerId === speakerId);
+        if (index === -1) return res.status(404).json({ error: 'Availability entry not found' });
+        if (isStale(req, entries[index])) return sendConflict(res, entries[index]);
+
+        const { value, errors } = validateAvailability(req.body, entries[index]);
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const conflicts = entries.filter(e => e.speakerId === speakerId && e.id !== value.id && entriesConflict(e, value));
+        if (conflicts.length) return sendAvailabilityConflict(res, conflicts);
+
+        entries[index] = { ...value, updatedAt: new Date().toISOString(), updatedBy: req.session.username };
+        await writeAvailability(entries);
+
+        res.set('ETag', etagFor(entries[index]));
+        res.json(entries[index]);
+    } catch (err) {
+        console.error('Update availability error:', err);
+        res.status(500).json({ error: 'Failed to update availability' });
+    } finally {
+        release();
+    }
+});
+
+app.delete('/api/speakers/:id/availability/:entryId', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(AVAILABILITY_FILE);
+    try {
+        const speakerId = parseInt(req.params.id);
+        const entries = await readAvailability();
+        const entry = entries.find(e => e.id === parseInt(req.params.entryId) && e.speakerId === speakerId);
+        if (!entry) return res.status(404).json({ error: 'Availability entry not found' });
+        if (isStale(req, entry)) return sendConflict(res, entry);
+
+        await writeAvailability(entries.filter(e => e !== entry));
+        res.json({ success: true, message: 'Availability entry deleted' });
+    } catch (err) {
+        console.error('Delete availability error:', err);
+        res.status(500).json({ error: 'Failed to delete availability entry' });
+    } finally {
+        release();
+    }
+});
+
+// Public: is the speaker free on a given day? Only a status comes back — no titles, clients or times.
+// "tentative" means the day is only held, so it's worth asking.
+app.get('/api/speakers/:id/availability/check', async (req, res) => {
+    try {
+        const speakerId = parseInt(req.params.id);
+        const speaker = await findSpeaker(speakerId);
+        if (!speaker || !isPublicSpeaker(speaker)) return res.status(404).json({ error: 'Speaker not found' });
+
+        const date = String(req.query.date || '');
+        const timeZone = String(req.query.timeZone || DEFAULT_TIME_ZONE);
+        const errors = {};
+        if (!isTimeZone(timeZone)) errors.timeZone = 'Must be an IANA time zone such as America/Toronto';
+        else if (!LOCAL_DATE_PATTERN.test(date) || zonedToUtc(date, timeZone) === null) errors.date = 'Must be YYYY-MM-DD';
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const day = {
+            startUtc: new Date(zonedToUtc(date, timeZone)).toISOString(),
+            endUtc: new Date(zonedToUtc(addDays(date, 1), timeZone)).toISOString()
+        };
+        const overlapping = (await readAvailability())
+            .filter(e => e.speakerId === speakerId && e.startUtc < day.endUtc && day.startUtc < e.endUtc);
+
+        let status = 'available';
+        if (overlapping.some(e => e.type !== 'hold')) status = 'unavailable';
+        else if (overlapping.length) status = 'tentative';
+
+        res.json({ speakerId, date, timeZone, available: status === 'available', status });
+    } catch (err) {
+        console.error('Availability check error:', err);
+        res.status(500).json({ error: 'Failed to check availability' });
+    }
+});
+
+// ---- iCal feed ----
+// Calendar apps can't log in, so each speaker's feed URL carries a secret token (rotating it revokes the old URL)
+async function readCalendarFeeds() {
+    const data = await fs.readFile(CALENDAR_FEEDS_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+function icsEscape(text) {
+    return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 lines are folded at 75 octets
+function icsFold(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+function icsDateTime(iso) {
+    return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function availabilityToIcs(speaker, entries, host) {
+    const stamp = icsDateTime(new Date().toISOString());
+    const summaries = { booking: 'Booked', hold: 'Hold', blackout: 'Unavailable' };
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Facettes//Speaker Availability//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsEscape(`${speaker.name} – ${SITE_NAME}`)}`
+    ];
+    for (const e of entries) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:availability-${e.id}@${host}`,
+            `DTSTAMP:${stamp}`,
+            e.allDay ? `DTSTART;VALUE=DATE:${e.start.replace(/-/g, '')}` : `DTSTART:${icsDateTime(e.startUtc)}`,
+            e.allDay ? `DTEND;VALUE=DATE:${addDays(e.end, 1).replace(/-/g, '')}` : `DTEND:${icsDateTime(e.endUtc)}`,
+            `SUMMARY:${icsEscape([summaries[e.type], e.title || e.client].filter(Boolean).join(': '))}`,
+            `STATUS:${e.type === 'hold' ? 'TENTATIVE' : 'CONFIRMED'}`,
+            `TRANSP:${e.type === 'hold' ? 'TRANSPARENT' : 'OPAQUE'}`
+        );
+        if (e.location) lines.push(`LOCATION:${icsEscape(e.location)}`);
+        if (e.client || e.notes) lines.push(`DESCRIPTION:${icsEscape([e.client && `Client: ${e.client}`, e.notes].filter(Boolean).join('\n'))}`);
+        lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// Returns the speaker's feed URL, creating a token on first use; { rotate: true } issues a new one
+app.post('/api/speakers/:id/availability/feed', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockFile(CALENDAR_FEEDS_FILE);
+    try {
+        const speakerId = parseInt(req.params.id);
+        if (!await findSpeaker(speakerId)) return res.status(404).json({ error: 'Speaker not found' });
+
+        const feeds = await readCalendarFeeds();
+        if (!feeds[speakerId] || req.body.rotate === true) {
+            feeds[speakerId] = crypto.randomBytes(24).toString('hex');
+            await writeJsonAtomic(CALENDAR_FEEDS_FILE, feeds);
+        }
+        res.json({ url: `${siteUrl(req)}/api/speakers/${speakerId}/availability.ics?token=${feeds[speakerId]}` });
+    } catch (err) {
+        console.error('Calendar feed error:', err);
+        res.status(500).json({ error: 'Failed to create calendar feed' });
+    } finally {
+        release();
+    }
+});
+
+app.get('/api/speakers/:id/availability.ics', async (req, res) => {
+    try {
+        const speakerId = parseInt(req.params.id);
+        const feeds = await readCalendarFeeds();
+        const expected = Buffer.from(feeds[speakerId] || '');
+        const given = Buffer.from(String(req.query.token || ''));
+        if (!expected.length || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return res.status(404).json({ error: 'Calendar not found' });
+        }
+
+        const speaker = await findSpeaker(speakerId);
+        if (!speaker) return res.status(404).json({ error: 'Calendar not found' });
+
+        const entries = (await readAvailability())
+            .filter(e => e.speakerId === speakerId)
+            .sort((a, b) => a.startUtc.localeCompare(b.startUtc));
+        res.type('text/calendar; charset=utf-8').send(availabilityToIcs(speaker, entries, req.hostname));
+    } catch (err) {
+        console.error('Calendar feed error:', err);
+        res.status(500).json({ error: 'Failed to build calendar feed' });
+    }
+});
+
+// ==== Outbound Webhooks ====
+// Registered endpoints receive a signed JSON POST for the events they subscribe to.
+// WEBHOOK_DELIVERIES_FILE is both the retry queue (status 'pending') and the delivery log,
+// so deliveries still owed after a restart are picked up again.
+const WEBHOOK_EVENTS = [
+    'speaker.created', 'speaker.updated', 'speaker.deleted', 'speaker.restored',
+    'content.updated', 'user.created', 'user.deleted'
+];
+const WEBHOOK_SCHEMA = {
+    url: { type: 'string', maxLength: 2000 },
+    description: { type: 'string', maxLength: 300 },
+    events: { type: 'array', maxItems: WEBHOOK_EVENTS.length + 1, maxLength: 50 }
+};
+const WEBHOOK_READONLY_FIELDS = ['id', 'secret', 'secretHint', 'createdAt', 'createdBy', 'updatedAt', 'etag'];
+// Wait before each retry; a delivery is given up after the first attempt plus one per delay
+const WEBHOOK_RETRY_DELAYS_MS = [1, 5, 30, 120, 360, 720].map(minutes => minutes * 60 * 1000);
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_POLL_MS = 15 * 1000;
+// Finished deliveries kept for the log; pending ones are never dropped
+const WEBHOOK_LOG_LIMIT = 1000;
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const WEBHOOK_DELIVERIES_DEFAULT_LIMIT = 50;
+const WEBHOOK_DELIVERIES_MAX_LIMIT = 500;
+
+// Webhooks must not reach into the server's own network (cloud metadata at 169.254.169.254, admin
+// ports on localhost, the LAN). Checked on the URL when saved and again on every address the host
+// name resolves to when connecting, so a DNS answer can't point an accepted host back inside.
+// WEBHOOK_ALLOW_PRIVATE=true lifts this for local development against a receiver on this machine.
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const BLOCKED_WEBHOOK_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_WEBHOOK_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+async function readWebhooks() {
+    const data = await fs.readFile(WEBHOOKS_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+async function readDeliveries() {
+    const data = await fs.readFile(WEBHOOK_DELIVERIES_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+async function writeDeliveries(deliveries) {
+    const finished = deliveries.filter(d => d.status !== 'pending');
+    const dropped = new Set(finished.slice(0, Math.max(0, finished.length - WEBHOOK_LOG_LIMIT)));
+    await writeJsonAtomic(WEBHOOK_DELIVERIES_FILE, deliveries.filter(d => !dropped.has(d)));
+}
+
+// The secret is only shown when it is created or rotated
+function publicWebhook(hook) {
+    const { secret, ...rest } = hook;
+    return { ...rest, secretHint: `…${secret.slice(-4)}`, etag: etagFor(hook) };
+}
+
+function newWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function isBlockedWebhookAddress(address) {
+    const family = net.isIP(address);
+    if (!family || WEBHOOK_ALLOW_PRIVATE) return false;
+    return BLOCKED_WEBHOOK_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// URL host without the brackets around IPv6 literals
+function webhookHost(url) {
+    return url.hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+// dns.lookup with every resolved address vetted; used as the socket's lookup so the check and the connection agree
+function webhookLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(a => isBlockedWebhookAddress(a.address));
+        if (blocked) return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EWEBHOOKBLOCKED' }));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Receivers recompute HMAC-SHA256(secret, `${t}.${body}`) and compare it with v1
+function signWebhook(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Validates a full webhook (existing values merged with the payload); `active` is a boolean, outside the schema
+function validateWebhook(input, existing = {}) {
+    const { value, errors } = validateFields(input, WEBHOOK_SCHEMA, { ignore: [...WEBHOOK_READONLY_FIELDS, 'active'] });
+    if (isPlainObject(input) && input.active !== undefined) {
+        if (typeof input.active !== 'boolean') errors.active = 'Must be true or false';
+        else value.active = input.active;
+    }
+    const hook = { description: '', active: true, ...existing, ...value };
+
+    if (!errors.url) {
+        let url = null;
+        try { url = new URL(hook.url || ''); } catch { /* reported below */ }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) errors.url = 'Must be an http:// or https:// URL';
+        else if (isBlockedWebhookAddress(webhookHost(url))) errors.url = 'Must not point to a private or local network address';
+    }
+    if (!errors.events) {
+        const unknown = (hook.events || []).filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+        if (!(hook.events || []).length) errors.events = 'Subscribe to at least one event (or "*" for all)';
+        else if (unknown.length) errors.events = `Unknown events: ${unknown.join(', ')}`;
+    }
+
+    return { value: hook, errors };
+}
+
+function subscribes(hook, event) {
+    return hook.events.includes('*') || hook.events.includes(event);
+}
+
+function newDelivery(id, hook, payload) {
+    const now = new Date().toISOString();
+    return {
+        id,
+        webhookId: hook.id,
+        event: payload.event,
+        eventId: payload.id,
+        status: 'pending',
+        payload,
+        attempts: [],
+        createdAt: now,
+        nextAttemptAt: now
+    };
+}
+
+// Queues deliveries for `events` ([{ event, actor, data }]) to every active subscriber.
+// Never throws: a failing webhook queue must not break the change that triggered it.
+async function queueWebhookEvents(events, hooks = null) {
+    if (!events.length) return;
+    const release = await lockFile(WEBHOOK_DELIVERIES_FILE);
+    try {
+        const targets = (hooks || await readWebhooks()).filter(h => h.active);
+        const deliveries = await readDeliveries();
+        let nextId = deliveries.length ? Math.max(...deliveries.map(d => d.id)) + 1 : 1;
+        let queued = 0;
+        for (const { event, actor = null, data } of events) {
+            const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), actor, data };
+            targets.filter(h => hooks || subscribes(h, event)).forEach(hook => {
+                deliveries.push(newDelivery(nextId++, hook, payload));
+                queued++;
+            });
+        }
+        if (!queued) return;
+        await writeDeliveries(deliveries);
+        setImmediate(processWebhookQueue);
+    } catch (err) {
+        console.error('Webhook queue error:', err);
+    } finally {
+        release();
+    }
+}
+
+// Event for a recorded revision; a speaker restored from the trash comes back as speaker.restored
+function revisionWebhookEvent({ entity, entityId = null, action, author, before, after }) {
+    const event = entity === 'content' ? 'content.updated'
+        : action === 'create' ? 'speaker.created'
+        : action === 'delete' ? 'speaker.deleted'
+        : action === 'restore' && !before ? 'speaker.restored'
+        : 'speaker.updated';
+    // Receivers sit outside the team, so speakers go out with the public fields only
+    const project = entity === 'speaker' ? publicSpeaker : value => value;
+    return { event, actor: author || null, data: { id: entityId, before: before ? project(before) : null, after: after ? project(after) : null } };
+}
+
+function userWebhookData(user) {
+    return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+// POSTs `body` and resolves with the status code. Redirects aren't followed and the response body
+// is discarded unread: receivers' replies don't belong in the delivery log.
+function postWebhook(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (isBlockedWebhookAddress(webhookHost(target))) {
+            return reject(Object.assign(new Error('URL points to a private address'), { code: 'EWEBHOOKBLOCKED' }));
+        }
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: webhookLookup
+        }, response => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        const timer = setTimeout(() => {
+            request.destroy(Object.assign(new Error(`No response within ${WEBHOOK_TIMEOUT_MS / 1000}s`), { code: 'ETIMEDOUT' }));
+        }, WEBHOOK_TIMEOUT_MS);
+        request.on('close', () => clearTimeout(timer));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// One POST; returns the attempt record for the log (status and timing only)
+async function sendWebhook(hook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const attempt = { at: new Date(started).toISOString() };
+    try {
+        const statusCode = await postWebhook(hook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': `${SITE_NAME}-Webhooks/1.0`,
+            'X-Facettes-Event': delivery.event,
+            'X-Facettes-Delivery': String(delivery.id),
+            'X-Facettes-Signature': `t=${timestamp},v1=${signWebhook(hook.secret, timestamp, body)}`
+        }, body);
+        attempt.statusCode = statusCode;
+        attempt.ok = statusCode >= 200 && statusCode < 300;
+        if (!attempt.ok) attempt.error = `HTTP ${statusCode}`;
+    } catch (err) {
+        attempt.ok = false;
+        attempt.error = ['EWEBHOOKBLOCKED', 'ETIMEDOUT'].includes(err.code) ? err.message : err.code || err.message;
+    }
+    attempt.durationMs = Date.now() - started;
+    return attempt;
+}
+
+// Sends every due delivery, one at a time. The queue lock is only held while reading and
+// recording, never during the HTTP call. Deliveries queued mid-run get another run right after.
+let webhookQueueRunning = false;
+let webhookQueueRerun = false;
+async function processWebhookQueue() {
+    if (webhookQueueRunning) {
+        webhookQueueRerun = true;
+        return;
+    }
+    webhookQueueRunning = true;
+    webhookQueueRerun = false;
+    try {
+        const now = Date.now();
+        const due = (await readDeliveries()).filter(d => d.status === 'pending' && Date.parse(d.nextAttemptAt) <= now);
+        const hooks = await readWebhooks();
+
+        for (const { id } of due) {
+            const delivery = (await readDeliveries()).find(d => d.id === id);
+            if (!delivery || delivery.status !== 'pending') continue;
+            const hook = hooks.find(h => h.id === delivery.webhookId);
+            const attempt = hook && hook.active
+                ? await sendWebhook(hook, delivery)
+                : { at: new Date().toISOString(), ok: false, error: hook ? 'Webhook is disabled' : 'Webhook was deleted' };
+
+            const release = await lockFile(WEBHOOK_DELIVERIES_FILE);
+            try {
+                const deliveries = await readDeliveries();
+                const current = deliveries.find(d => d.id === id);
+                if (!current) continue;
+                current.attempts.push(attempt);
+                const retryDelay = WEBHOOK_RETRY_DELAYS_MS[current.attempts.length - 1];
+                if (attempt.ok) {
+                    current.status = 'delivered';
+                    current.nextAttemptAt = null;
+                } else if (hook && hook.active && retryDelay !== undefined) {
+                    current.nextAttemptAt = new Date(Date.now() + retryDelay).toISOString();
+                } else {
+                    current.status = 'failed';
+                    current.nextAttemptAt = null;
+                }
+                await writeDeliveries(deliveries);
+            } finally {
+                release();
+            }
+        }
+    } catch (err) {
+        console.error('Webhook delivery error:', err);
+    } finally {
+        webhookQueueRunning = false;
+        if (webhookQueueRerun) setImmediate(processWebhookQueue);
+    }
+}
+
+function startWebhookWorker() {
+    setInterval(processWebhookQueue, WEBHOOK_POLL_MS).unref();
+    setImmediate(processWebhookQueue);
+}
+
+function parseDeliveryQuery(query) {
+    const errors = {};
+    const value = {
+        webhookId: query.webhook === undefined ? null : Number(query.webhook),
+        status: query.status || null,
+        event: query.event || null,
+        limit: query.limit === undefined ? WEBHOOK_DELIVERIES_DEFAULT_LIMIT : Number(query.limit)
+    };
+    if (value.webhookId !== null && !Number.isInteger(value.webhookId)) errors.webhook = 'Must be a webhook id';
+    if (value.status && !WEBHOOK_DELIVERY_STATUSES.includes(value.status)) {
+        errors.status = `Must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}`;
+    }
+    if (!Number.isInteger(value.limit) || value.limit < 1 || value.limit > WEBHOOK_DELIVERIES_MAX_LIMIT) {
+        errors.limit = `Must be between 1 and ${WEBHOOK_DELIVERIES_MAX_LIMIT}`;
+    }
+    return { value, errors };
+}
+
+app.get('/api/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const hooks = await readWebhooks();
+        res.json({ events: WEBHOOK_EVENTS, webhooks: hooks.map(publicWebhook) });
+    } catch (err) {
+        console.error('Get webhooks error:', err);
+        res.status(500).json({ error: 'Failed to get webhooks' });
+    }
+});
+
+// Responds with the signing secret; it is not shown again
+app.post('/api/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+    const { value, errors } = validateWebhook(req.body);
+    if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+    const release = await lockFile(WEBHOOKS_FILE);
+    try {
+        const hooks = await readWebhooks();
+        const now = new Date().toISOString();
+        const hook = {
+            id: hooks.length ? Math.max(...hooks.map(h => h.id)) + 1 : 1,
+            ...value,
+            secret: newWebhookSecret(),
+            createdAt: now,
+            createdBy: req.session.username,
+            updatedAt: now
+        };
+        hooks.push(hook);
+        await writeJsonAtomic(WEBHOOKS_FILE, hooks);
+        await audit(req, 'webhook.create', { target: String(hook.id), details: { url: hook.url, events: hook.events } });
+        res.status(201).json({ ...publicWebhook(hook), secret: hook.secret });
+    } catch (err) {
+        console.error('Create webhook error:', err);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    } finally {
+        release();
+    }
+});
+
+// Partial update; send the webhook's etag as If-Match
+app.put('/api/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+    const release = await lockFile(WEBHOOKS_FILE);
+    try {
+        const hooks = await readWebhooks();
+        const index = hooks.findIndex(h => h.id === parseInt(req.params.id));
+        if (index === -1) return res.status(404).json({ error: 'Webhook not found' });
+        if (isStale(req, hooks[index])) return sendConflict(res, hooks[index]);
+
+        const { value, errors } = validateWebhook(req.body, hooks[index]);
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        hooks[index] = { ...value, updatedAt: new Date().toISOString() };
+        await writeJsonAtomic(WEBHOOKS_FILE, hooks);
+        await audit(req, 'webhook.update', { target: String(hooks[index].id), details: { url: hooks[index].url, events: hooks[index].events, active: hooks[index].active } });
+        res.json(publicWebhook(hooks[index]));
+    } catch (err) {
+        console.error('Update webhook error:', err);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    } finally {
+        release();
+    }
+});
+
+// Pending deliveries to a deleted webhook fail on their next run; the log keeps them
+app.delete('/api/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+    const release = await lockFile(WEBHOOKS_FILE);
+    try {
+        const hooks = await readWebhooks();
+        const target = hooks.find(h => h.id === parseInt(req.params.id));
+        if (!target) return res.status(404).json({ error: 'Webhook not found' });
+        if (isStale(req, target)) return sendConflict(res, target);
+
+        await writeJsonAtomic(WEBHOOKS_FILE, hooks.filter(h => h !== target));
+        await audit(req, 'webhook.delete', { target: String(target.id), details: { url: target.url } });
+        res.json({ message: 'Webhook deleted' });
+    } catch (err) {
+        console.error('Delete webhook error:', err);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    } finally {
+        release();
+    }
+});
+
+// The old secret stops working immediately, including for retries still queued
+app.post('/api/webhooks/:id/rotate-secret', requirePermission('webhooks:manage'), async (req, res) => {
+    const release = await lockFile(WEBHOOKS_FILE);
+    try {
+        const hooks = await readWebhooks();
+        const hook = hooks.find(h => h.id === parseInt(req.params.id));
+        if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+
+        hook.secret = newWebhookSecret();
+        hook.updatedAt = new Date().toISOString();
+        await writeJsonAtomic(WEBHOOKS_FILE, hooks);
+        await audit(req, 'webhook.rotate', { target: String(hook.id) });
+        res.json({ ...publicWebhook(hook), secret: hook.secret });
+    } catch (err) {
+        console.error('Rotate webhook secret error:', err);
+        res.status(500).json({ error: 'Failed to rotate webhook secret' });
+    } finally {
+        release();
+    }
+});
+
+// Sends a `ping` event to this webhook only, to check the endpoint and its signature handling
+app.post('/api/webhooks/:id/ping', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const hook = (await readWebhooks()).find(h => h.id === parseInt(req.params.id));
+        if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+        if (!hook.active) return res.status(409).json({ error: 'Webhook is disabled' });
+
+        await queueWebhookEvents([{ event: 'ping', actor: req.session.username, data: { webhookId: hook.id } }], [hook]);
+        res.status(202).json({ message: 'Ping queued' });
+    } catch (err) {
+        console.error('Ping webhook error:', err);
+        res.status(500).json({ error: 'Failed to ping webhook' });
+    }
+});
+
+// Newest first, without payloads. ?webhook=&status=pending|delivered|failed&event=&limit=
+app.get('/api/webhooks/deliveries', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const { value: query, errors } = parseDeliveryQuery(req.query);
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const matching = (await readDeliveries())
+            .filter(d => query.webhookId === null || d.webhookId === query.webhookId)
+            .filter(d => !query.status || d.status === query.status)
+            .filter(d => !query.event || d.event === query.event)
+            .reverse();
+        res.json({
+            items: matching.slice(0, query.limit).map(({ payload, ...summary }) => summary),
+            total: matching.length
+        });
+    } catch (err) {
+        console.error('Get webhook deliveries error:', err);
+        res.status(500).json({ error: 'Failed to get webhook deliveries' });
+    }
+});
+
+app.get('/api/webhooks/deliveries/:id', requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const delivery = (await readDeliveries()).find(d => d.id === parseInt(req.params.id));
+        if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+        res.json(delivery);
+    } catch (err) {
+        console.error('Get webhook delivery error:', err);
+        res.status(500).json({ error: 'Failed to get webhook delivery' });
+    }
+});
+
+// Queues the same payload (same event id, so receivers can de-duplicate) as a new delivery
+app.post('/api/webhooks/deliveries/:id/redeliver', requirePermission('webhooks:manage'), async (req, res) => {
+    const release = await lockFile(WEBHOOK_DELIVERIES_FILE);
+    try {
+        const deliveries = await readDeliveries();
+        const original = deliveries.find(d => d.id === parseInt(req.params.id));
+        if (!original) return res.status(404).json({ error: 'Delivery not found' });
+        const hook = (await readWebhooks()).find(h => h.id === original.webhookId);
+        if (!hook) return res.status(409).json({ error: 'Webhook was deleted' });
+        if (!hook.active) return res.status(409).json({ error: 'Webhook is disabled' });
+
+        const delivery = {
+            ...newDelivery(Math.max(...deliveries.map(d => d.id)) + 1, hook, original.payload),
+            redeliveryOf: original.id,
+            requestedBy: req.session.username
+        };
+        deliveries.push(delivery);
+        await writeDeliveries(deliveries);
+        setImmediate(processWebhookQueue);
+
+        const { payload, ...summary } = delivery;
+        res.status(202).json(summary);
+    } catch (err) {
+        console.error('Redeliver webhook error:', err);
+        res.status(500).json({ error: 'Failed to redeliver webhook' });
+    } finally {
+        release();
+    }
 });
 
 // ==== PROTECTED File Uploads (Auth required) ====
-app.post('/api/upload', requireAuth, upload.single('image'), (req, res) => {
+app.post('/api/upload', requirePermission('speakers:write'), (req, res, next) => {
+    upload.single('image')(req, res, err => {
+        if (err) return res.status(400).json({ error: err.message });
+        next();
+    });
+}, async (req, res) => {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-    res.json({ url: `/uploads/${req.file.filename}` });
+    if (!detectImageType(req.file.buffer)) {
+        return res.status(400).json({ error: 'File content is not a JPEG, PNG, GIF or WebP image' });
+    }
+    let variants;
+    try {
+        variants = await processImageUpload(req.file.buffer);
+    } catch (err) {
+        console.error('Image processing error:', err);
+        return res.status(400).json({ error: 'Could not process image' });
+    }
+    try {
+        const id = mediaId(path.basename(variants.full.fallback));
+        await saveMediaRecord({
+            id,
+            originalName: req.file.originalname,
+            width: variants.full.width,
+            height: variants.full.height,
+            alt: {},
+            uploadedAt: new Date().toISOString(),
+            uploadedBy: req.session.username
+        });
+        // url stays the speaker `image` value; the other variants are derived from its name
+        res.json({ id, url: variants.full.fallback, variants });
+    } catch (err) {
+        console.error('Upload record error:', err);
+        res.status(500).json({ error: 'Failed to record upload' });
+    }
+});
+
+// ==== Media Library (Auth required) ====
+// Everything in UPLOADS_DIR, one item per upload: the variants processImageUpload writes share a base
+// name (<base>-<variant>.<ext>), older single-file uploads are items of their own. MEDIA_FILE keeps
+// what the files can't tell: { id, originalName, width, height, alt: { <locale>: text }, uploadedAt, uploadedBy }.
+// Items are in use while a speaker (live or in the trash) or a content string holds one of their URLs;
+// those can't be deleted. Revision snapshots don't count, so restoring an old one may point at a deleted file.
+const MEDIA_VARIANT_PATTERN = new RegExp(`^(.+)-(?:${Object.keys(IMAGE_VARIANTS).join('|')})\\.[a-z]+$`);
+const MEDIA_REFERENCE_PATTERN = /\/uploads\/([^\s"'()<>?#\/]+)/g;
+const MEDIA_IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.gif': 'image/gif', '.webp': 'image/webp' };
+const MEDIA_ALT_RULE = { type: 'string', maxLength: 300 };
+// An upload isn't referenced until the speaker it's for is saved, so the purge leaves recent ones alone
+const ORPHAN_GRACE_HOURS = 24;
+
+// Item id for a file in UPLOADS_DIR: the shared base name of a variant, else the file name itself
+function mediaId(fileName) {
+    const match = MEDIA_VARIANT_PATTERN.exec(fileName);
+    return match ? match[1] : fileName;
+}
+
+async function readMediaRecords() {
+    const data = await fs.readFile(MEDIA_FILE, 'utf8');
+    return JSON.parse(data);
+}
+
+// Adds or replaces the record with the same id; callers hold the MEDIA_FILE lock
+async function writeMediaRecord(records, record) {
+    const index = records.findIndex(r => r.id === record.id);
+    await writeJsonAtomic(MEDIA_FILE, index === -1 ? [...records, record] : records.map((r, i) => i === index ? record : r));
+}
+
+async function saveMediaRecord(record) {
+    const release = await lockFile(MEDIA_FILE);
+    try {
+        await writeMediaRecord(await readMediaRecords(), record);
+    } finally {
+        release();
+    }
+}
+
+// Where uploads are used, by file name: every string in a speaker record or in the content
+async function mediaReferences() {
+    const references = new Map();
+    const add = (text, usage) => {
+        for (const [, name] of String(text).matchAll(MEDIA_REFERENCE_PATTERN)) {
+            references.set(name, [...(references.get(name) || []), usage]);
+        }
+    };
+    const speakers = [
+        ...(await storage.speakers.all()).map(speaker => ({ speaker, trashed: false })),
+        ...(await readTrash()).map(entry => ({ speaker: entry.speaker, trashed: true }))
+    ];
+    for (const { speaker, trashed } of speakers) {
+        for (const [field, value] of Object.entries(speaker)) {
+            [].concat(value).filter(v => typeof v === 'string')
+                .forEach(v => add(v, { type: 'speaker', id: speaker.id, name: speaker.name, field, trashed }));
+        }
+    }
+    for (const [locale, strings] of Object.entries(await storage.content.get())) {
+        for (const [key, value] of Object.entries(strings)) {
+            if (typeof value === 'string') add(value, { type: 'content', locale, key });
+        }
+    }
+    return references;
+}
+
+// Width and height of an image file, or nulls when it isn't one sharp can read
+async function imageSize(file) {
+    try {
+        const { width, height } = await sharp(file).metadata();
+        return { width: width || null, height: height || null };
+    } catch {
+        return { width: null, height: null };
+    }
+}
+
+// Sizes read from uploads that have no media record, by file name, so listing the library doesn't
+// decode every older upload again. An entry is reused while the file's size and mtime are unchanged.
+const mediaSizeCache = new Map();
+
+async function cachedImageSize(name, stat) {
+    const cached = mediaSizeCache.get(name);
+    if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) return cached.dimensions;
+    const dimensions = await imageSize(path.join(UPLOADS_DIR, name));
+    mediaSizeCache.set(name, { size: stat.size, mtimeMs: stat.mtimeMs, dimensions });
+    return dimensions;
+}
+
+// Every item on disk with its files, record and usage, newest first
+async function listMedia() {
+    let names;
+    try {
+        names = await fs.readdir(UPLOADS_DIR);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    const [records, references] = await Promise.all([readMediaRecords(), mediaReferences()]);
+    const groups = new Map();
+    const stats = new Map();
+    for (const name of names.filter(n => !n.startsWith('.')).sort()) {
+        const stat = await fs.stat(path.join(UPLOADS_DIR, name));
+        if (!stat.isFile()) continue;
+        stats.set(name, stat);
+        const id = mediaId(name);
+        const group = groups.get(id) || { id, files: [], modifiedAt: stat.mtime };
+        group.files.push({ name, url: `/uploads/${name}`, size: stat.size, type: MEDIA_IMAGE_TYPES[path.extname(name).toLowerCase()] || null });
+        if (stat.mtime < group.modifiedAt) group.modifiedAt = stat.mtime;
+        groups.set(id, group);
+    }
+
+    const items = [];
+    for (const { id, files, modifiedAt } of groups.values()) {
+        const record = records.find(r => r.id === id) || null;
+        // The file speakers point at: the full-size JPEG/PNG of a processed upload
+        const main = files.find(f => /-full\.(jpg|png)$/.test(f.name)) || files[0];
+        const size = record && record.width ? { width: record.width, height: record.height }
+            : main.type ? await cachedImageSize(main.name, stats.get(main.name)) : { width: null, height: null };
+        const seen = new Set();
+        const usage = files.flatMap(f => references.get(f.name) || []).filter(u => {
+            const key = JSON.stringify(u);
+            return !seen.has(key) && seen.add(key);
+        });
+        items.push({
+            id,
+            url: main.url,
+            type: main.type,
+            files,
+            size: files.reduce((sum, f) => sum + f.size, 0),
+            ...size,
+            originalName: record ? record.originalName : null,
+            alt: record ? record.alt : {},
+            uploadedAt: record ? record.uploadedAt : modifiedAt.toISOString(),
+            uploadedBy: record ? record.uploadedBy : null,
+            usage,
+            inUse: usage.length > 0,
+            etag: etagFor(record)
+        });
+    }
+    return items.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt) || a.id.localeCompare(b.id));
+}
+
+function isPurgeableOrphan(item, now = Date.now()) {
+    return !item.inUse && now - Date.parse(item.uploadedAt) >= ORPHAN_GRACE_HOURS * 60 * 60 * 1000;
+}
+
+// Removes the item's files, then its record
+async function deleteMediaItem(item) {
+    await Promise.all(item.files.map(f => fs.unlink(path.join(UPLOADS_DIR, f.name)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+    })));
+    item.files.forEach(f => mediaSizeCache.delete(f.name));
+    const release = await lockFile(MEDIA_FILE);
+    try {
+        await writeJsonAtomic(MEDIA_FILE, (await readMediaRecords()).filter(r => r.id !== item.id));
+    } finally {
+        release();
+    }
+}
+
+// Alt text written for an uploaded image URL, along the locale's fallback chain ('' when there is none)
+async function mediaAlt(url, lang) {
+    const match = /^\/uploads\/([^/?#]+)$/.exec(url || '');
+    if (!match) return '';
+    const record = (await readMediaRecords()).find(r => r.id === mediaId(match[1]));
+    const code = record && fallbackChain(lang).find(c => hasValue(record.alt[c]));
+    return code ? record.alt[code] : '';
+}
+
+// Locks for anything that can add a reference, so nothing starts using a file while it is deleted
+async function lockMediaReferences() {
+    const releases = [];
+    for (const name of [SPEAKERS_LOCK, CONTENT_LOCK, TRASH_FILE]) releases.push(await lockFile(name));
+    return () => releases.reverse().forEach(release => release());
+}
+
+// ?unused=true lists only the items nothing references
+app.get('/api/media', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const items = await listMedia();
+        res.json(req.query.unused === 'true' ? items.filter(item => !item.inUse) : items);
+    } catch (err) {
+        console.error('Get media error:', err);
+        res.status(500).json({ error: 'Failed to get media' });
+    }
+});
+
+// Unreferenced items; the ones older than the grace period are `purgeable`, and `count`/`size` add those up
+app.get('/api/media/orphans', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const now = Date.now();
+        const items = (await listMedia()).filter(item => !item.inUse).map(item => ({ ...item, purgeable: isPurgeableOrphan(item, now) }));
+        const purgeable = items.filter(item => item.purgeable);
+        res.json({
+            items,
+            count: purgeable.length,
+            size: purgeable.reduce((sum, item) => sum + item.size, 0),
+            graceHours: ORPHAN_GRACE_HOURS
+        });
+    } catch (err) {
+        console.error('Get media orphans error:', err);
+        res.status(500).json({ error: 'Failed to get orphaned media' });
+    }
+});
+
+// Deletes every purgeable orphan, or only the ones in { ids } (which must all be purgeable)
+app.post('/api/media/orphans/purge', requirePermission('media:manage'), async (req, res) => {
+    const ids = req.body && req.body.ids;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some(id => typeof id !== 'string'))) {
+        return sendValidationErrors(res, { ids: 'Must be an array of media ids' });
+    }
+
+    const release = await lockMediaReferences();
+    try {
+        const items = await listMedia();
+        const purgeable = items.filter(item => isPurgeableOrphan(item));
+        if (ids) {
+            const refused = ids.filter(id => !purgeable.some(item => item.id === id));
+            if (refused.length) return sendValidationErrors(res, { ids: `Not purgeable (unknown, in use or uploaded in the last ${ORPHAN_GRACE_HOURS} hours): ${refused.join(', ')}` });
+        }
+        const targets = ids ? purgeable.filter(item => ids.includes(item.id)) : purgeable;
+        for (const item of targets) await deleteMediaItem(item);
+
+        const size = targets.reduce((sum, item) => sum + item.size, 0);
+        if (targets.length) await audit(req, 'media.purge', { details: { ids: targets.map(item => item.id), size } });
+        res.json({ deleted: targets.map(item => item.id), count: targets.length, size });
+    } catch (err) {
+        console.error('Purge media error:', err);
+        res.status(500).json({ error: 'Failed to purge media' });
+    } finally {
+        release();
+    }
+});
+
+app.get('/api/media/:id', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const item = (await listMedia()).find(m => m.id === req.params.id);
+        if (!item) return res.status(404).json({ error: 'Media not found' });
+        res.json(item);
+    } catch (err) {
+        console.error('Get media item error:', err);
+        res.status(500).json({ error: 'Failed to get media' });
+    }
+});
+
+// { alt: { en, fr } }; locales left out keep their text, an empty string removes it
+app.put('/api/media/:id', requirePermission('speakers:write'), async (req, res) => {
+    const body = isPlainObject(req.body) ? req.body : {};
+    if (!isPlainObject(body.alt)) return sendValidationErrors(res, { alt: 'Must be an object' });
+    const altSchema = Object.fromEntries(localeCodes().map(code => [code, MEDIA_ALT_RULE]));
+    const { value: alt, errors } = validateFields(body.alt, altSchema, { prefix: 'alt.' });
+    if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+    const release = await lockFile(MEDIA_FILE);
+    try {
+        const item = (await listMedia()).find(m => m.id === req.params.id);
+        if (!item) return res.status(404).json({ error: 'Media not found' });
+        const records = await readMediaRecords();
+        const current = records.find(r => r.id === item.id) || null;
+        if (isStale(req, current)) return sendConflict(res, current);
+
+        // Uploads from before the library have no record yet
+        const record = current || { id: item.id, originalName: null, width: item.width, height: item.height, alt: {}, uploadedAt: item.uploadedAt, uploadedBy: null };
+        const merged = Object.fromEntries(Object.entries({ ...record.alt, ...alt }).filter(([, text]) => hasValue(text)));
+        await writeMediaRecord(records, { ...record, alt: merged });
+        res.json((await listMedia()).find(m => m.id === item.id));
+    } catch (err) {
+        console.error('Update media error:', err);
+        res.status(500).json({ error: 'Failed to update media' });
+    } finally {
+        release();
+    }
+});
+
+app.delete('/api/media/:id', requirePermission('speakers:write'), async (req, res) => {
+    const release = await lockMediaReferences();
+    try {
+        const item = (await listMedia()).find(m => m.id === req.params.id);
+        if (!item) return res.status(404).json({ error: 'Media not found' });
+        const record = (await readMediaRecords()).find(r => r.id === item.id) || null;
+        if (isStale(req, record)) return sendConflict(res, record);
+        if (item.inUse) {
+            return res.status(409).json({ error: `File is in use (${item.usage.length} reference(s)); remove those references first`, usage: item.usage });
+        }
+
+        await deleteMediaItem(item);
+        await audit(req, 'media.delete', { target: item.id, details: { files: item.files.map(f => f.name), size: item.size } });
+        res.json({ message: 'File deleted' });
+    } catch (err) {
+        console.error('Delete media error:', err);
+        res.status(500).json({ error: 'Failed to delete media' });
+    } finally {
+        release();
+    }
+});
+
+// ==== Speaker Profile Pages & SEO (Server-rendered) ====
+// Shareable, crawlable pages for each speaker; the JS modal on index.html stays the main browsing UI
+const PROFILE_LABELS = {
+    en: { keyTopics: 'Key topics', book: 'Book this speaker', back: 'All speakers', notFound: 'Speaker not found', locale: 'en_CA', preview: 'Preview — this profile is not public yet. Link expires' },
+    fr: { keyTopics: 'Sujets clés', book: 'Réserver ce conférencier', back: 'Tous les conférenciers', notFound: 'Conférencier introuvable', locale: 'fr_CA', preview: 'Aperçu — ce profil n’est pas encore public. Lien valide jusqu’au' }
+};
+const SITE_NAME = 'Facettes';
+
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Set SITE_URL in production so canonical links don't depend on the Host header
+function siteUrl(req) {
+    return (process.env.SITE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// The base locale lives at the root, every other registered locale under /<code>
+function profilePath(speaker, lang) {
+    return `${lang === BASE_LOCALE ? '' : `/${lang}`}/speakers/${speaker.slug}`;
+}
+
+// Locales without their own labels borrow them along the fallback chain; og:locale still names the locale itself
+function profileLabels(lang) {
+    const code = fallbackChain(lang).find(c => PROFILE_LABELS[c]) || BASE_LOCALE;
+    return { ...PROFILE_LABELS[code], locale: PROFILE_LABELS[lang] ? PROFILE_LABELS[lang].locale : lang.replace('-', '_') };
+}
+
+// Only uploaded or remote images can be shared; emoji placeholders return null
+function absoluteImageUrl(req, image) {
+    if (/^https?:\/\//.test(image || '')) return image;
+    if ((image || '').startsWith('/uploads/')) return siteUrl(req) + image;
+    return null;
+}
+
+function excerpt(text, max = 160) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    if (flat.length <= max) return flat;
+    const cut = flat.lastIndexOf(' ', max - 1);
+    return flat.slice(0, cut > 0 ? cut : max - 1) + '…';
+}
+
+// Same variant naming as the front end's speakerImage()
+function profileImageHtml(image, alt) {
+    const match = /^(\/uploads\/\d+-\d+)-(?:thumbnail|card|full)\.(jpg|png)$/.exec(image || '');
+    if (!match) {
+        const isUrl = /^(\/uploads\/|https?:\/\/)/.test(image || '');
+        return isUrl ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(alt)}">` : escapeHtml(image || '👤');
+    }
+    const [, base, ext] = match;
+    const srcset = format => Object.entries(IMAGE_VARIANTS).map(([name, w]) => `${base}-${name}.${format} ${w}w`).join(', ');
+    const sizes = '(max-width: 768px) 100vw, 400px';
+    return `<picture>
+            <source type="image/webp" srcset="${srcset('webp')}" sizes="${sizes}">
+            <img src="${base}-card.${ext}" srcset="${srcset(ext)}" sizes="${sizes}" alt="${escapeHtml(alt)}">
+        </picture>`;
+}
+
+// `preview` is the preview link being used, for profiles that aren't public yet; `imageAlt` comes from
+// the media library and falls back to the speaker's name
+function renderSpeakerPage(req, speaker, lang, preview = null, imageAlt = '') {
+    const labels = profileLabels(lang);
+    const base = siteUrl(req);
+    const name = localizedField(speaker, 'name', lang) || '';
+    const title = localizedField(speaker, 'title', lang) || '';
+    const bio = localizedField(speaker, 'bio', lang) || '';
+    const topics = localizedField(speaker, 'topics', lang) || [];
+    const keyTopics = localizedField(speaker, 'keyTopics', lang) || [];
+    const pageTitle = `${name}${title ? ` – ${title}` : ''} | ${SITE_NAME}`;
+    const description = excerpt(bio) || title;
+    const canonical = base + profilePath(speaker, lang);
+    const image = absoluteImageUrl(req, speaker.image);
+    const previewQuery = preview ? `?preview=${preview.token}` : '';
+
+    const jsonLd = {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name,
+        jobTitle: title || undefined,
+        description: description || undefined,
+        image: image || undefined,
+        url: canonical,
+        knowsAbout: topics.length ? topics : undefined
+    };
+
+    return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    ${preview ? '<meta name="robots" content="noindex">' : ''}
+    <title>${escapeHtml(pageTitle)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <link rel="canonical" href="${escapeHtml(canonical)}">
+    ${localeCodes().map(l => `<link rel="alternate" hreflang="${l}" href="${escapeHtml(base + profilePath(speaker, l))}">`).join('\n    ')}
+    <link rel="alternate" hreflang="x-default" href="${escapeHtml(base + profilePath(speaker, BASE_LOCALE))}">
+    <meta property="og:type" content="profile">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:title" content="${escapeHtml(name)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(canonical)}">
+    <meta property="og:locale" content="${labels.locale}">
+    ${localeCodes().filter(l => l !== lang).map(l => `<meta property="og:locale:alternate" content="${profileLabels(l).locale}">`).join('\n    ')}
+    ${image ? `<meta property="og:image" content="${escapeHtml(image)}">` : ''}
+    ${image && imageAlt ? `<meta property="og:image:alt" content="${escapeHtml(imageAlt)}">` : ''}
+    <meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">
+    <meta name="twitter:title" content="${escapeHtml(name)}">
+    <meta name="twitter:description" content="${escapeHtml(description)}">
+    ${image ? `<meta name="twitter:image" content="${escapeHtml(image)}">` : ''}
+    <script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: Inter, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #000; line-height: 1.6; background: #fff; }
+        header { display: flex; justify-content: space-between; align-items: center; padding: 1rem 2rem; border-bottom: 1px solid #eee; }
+        header a { color: #555; text-decoration: none; }
+        .logo { font-weight: 700; font-size: 1.5rem; color: #000; }
+        .langs a { margin-left: 1rem; font-weight: 600; }
+        .langs a[aria-current] { color: #7877E6; }
+        main { max-width: 1100px; margin: 0 auto; padding: 3rem 1.5rem; display: grid; grid-template-columns: minmax(0, 2fr) minmax(0, 3fr); gap: 3rem; }
+        .photo { aspect-ratio: 4/5; background: #eee; border-radius: 24px; overflow: hidden; display: flex; align-items: center; justify-content: center; font-size: 6rem; }
+        .photo img { width: 100%; height: 100%; object-fit: cover; }
+        .photo picture { display: contents; }
+        h1 { font-size: clamp(2rem, 4vw, 2.75rem); line-height: 1.2; }
+        .title { color: #555; margin: 0.5rem 0 2rem; }
+        .bio p { color: #555; margin-bottom: 1rem; }
+        h2 { color: #7877E6; font-size: 1.2rem; margin: 2rem 0 1rem; }
+        ul { list-style: none; }
+        li { padding: 0.35rem 0; color: #555; }
+        li::before { content: "→ "; color: #7877E6; font-weight: bold; }
+        .topics { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-top: 2rem; }
+        .topics span { background: #eee; color: #555; padding: 0.25rem 0.75rem; border-radius: 20px; font-size: 0.85rem; }
+        .book { display: inline-block; margin-top: 2rem; background: #7877E6; color: #fff; padding: 1rem 2rem; border-radius: 4px; text-decoration: none; }
+        .book:hover { background: #5C5BCC; }
+        .preview { background: #FFF4CC; color: #5C4A00; text-align: center; padding: 0.75rem 1rem; font-size: 0.9rem; }
+        @media (max-width: 768px) { main { grid-template-columns: 1fr; gap: 2rem; } }
+    </style>
+</head>
+<body>
+    ${preview ? `<div class="preview" role="status">${labels.preview} ${escapeHtml(new Date(preview.expiresAt).toLocaleString(labels.locale.replace('_', '-'), { dateStyle: 'long', timeStyle: 'short', timeZone: DEFAULT_TIME_ZONE }))}</div>` : ''}
+    <header>
+        <a class="logo" href="/">${SITE_NAME.toUpperCase()}</a>
+        <nav class="langs">
+            <a href="/">${labels.back}</a>
+            ${localeCodes().map(l => `<a href="${profilePath(speaker, l)}${previewQuery}" hreflang="${l}"${l === lang ? ' aria-current="page"' : ''}>${l.toUpperCase()}</a>`).join('\n            ')}
+        </nav>
+    </header>
+    <main>
+        <div class="photo">${profileImageHtml(speaker.image, imageAlt || name)}</div>
+        <article>
+            <h1>${escapeHtml(name)}</h1>
+            ${title ? `<p class="title">${escapeHtml(title)}</p>` : ''}
+            <div class="bio">${bio.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).map(p => `<p>${escapeHtml(p)}</p>`).join('\n')}</div>
+            ${keyTopics.length ? `<h2>${labels.keyTopics}</h2><ul>${keyTopics.map(t => `<li>${escapeHtml(t)}</li>`).join('')}</ul>` : ''}
+            ${topics.length ? `<div class="topics">${topics.map(t => `<span>${escapeHtml(t)}</span>`).join('')}</div>` : ''}
+            <a class="book" href="/?speaker=${speaker.id}#contact">${labels.book}</a>
+        </article>
+    </main>
+</body>
+</html>`;
+}
+
+function renderProfileNotFound(lang) {
+    const labels = profileLabels(lang);
+    return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="robots" content="noindex">
+    <title>${labels.notFound} | ${SITE_NAME}</title>
+</head>
+<body style="font-family: sans-serif; text-align: center; padding: 4rem 1rem;">
+    <h1>${labels.notFound}</h1>
+    <p><a href="/" style="color: #7877E6;">${labels.back}</a></p>
+</body>
+</html>`;
+}
+
+async function sendSpeakerPage(req, res, lang) {
+    try {
+        const speaker = await storage.speakers.getBySlug(req.params.slug.toLowerCase());
+        const preview = speaker && !isPublicSpeaker(speaker) ? await findPreview(speaker.id, req.query.preview) : null;
+        if (!speaker || (!isPublicSpeaker(speaker) && !preview)) {
+            return res.status(404).type('html').send(renderProfileNotFound(lang));
+        }
+        if (req.params.slug !== speaker.slug) {
+            return res.redirect(301, profilePath(speaker, lang) + (preview ? `?preview=${preview.token}` : ''));
+        }
+        // Previews must not be cached or indexed
+        if (preview) res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+        else setPublicCaching(res, await publicSpeakersModifiedAt([speaker]));
+        res.type('html').send(renderSpeakerPage(req, speaker, lang, preview, await mediaAlt(speaker.image, lang)));
+    } catch (err) {
+        console.error('Speaker page error:', err);
+        res.status(500).send('Failed to render speaker page');
+    }
+}
+
+app.get('/speakers/:slug', (req, res) => sendSpeakerPage(req, res, BASE_LOCALE));
+app.get('/:lang/speakers/:slug', (req, res, next) => {
+    const { lang } = req.params;
+    if (!isLocale(lang) || lang === BASE_LOCALE) return next();
+    sendSpeakerPage(req, res, lang);
+});
+
+// lastmod comes from the latest revision touching each speaker
+app.get('/sitemap.xml', async (req, res) => {
+    try {
+        const base = siteUrl(req);
+        const speakers = await storage.speakers.all();
+        const revisions = await readRevisions();
+        setPublicCaching(res, await publicSpeakersModifiedAt(speakers));
+        const lastModified = new Map();
+        revisions.filter(r => r.entity === 'speaker').forEach(r => {
+            if (!lastModified.has(r.entityId) || r.timestamp > lastModified.get(r.entityId)) {
+                lastModified.set(r.entityId, r.timestamp);
+            }
+        });
+
+        const pageEntry = (loc, extra = '') => `  <url>\n    <loc>${escapeHtml(loc)}</loc>${extra}\n  </url>`;
+        const entries = [pageEntry(`${base}/`), pageEntry(`${base}/about.html`)];
+        speakers.filter(s => s.slug && isPublicSpeaker(s)).forEach(speaker => {
+            const alternates = localeCodes()
+                .map(l => `\n    <xhtml:link rel="alternate" hreflang="${l}" href="${escapeHtml(base + profilePath(speaker, l))}"/>`)
+                .join('');
+            const lastmod = lastModified.has(speaker.id) ? `\n    <lastmod>${lastModified.get(speaker.id).slice(0, 10)}</lastmod>` : '';
+            localeCodes().forEach(l => entries.push(pageEntry(base + profilePath(speaker, l), lastmod + alternates)));
+        });
+
+        res.type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${entries.join('\n')}
+</urlset>
+`);
+    } catch (err) {
+        console.error('Sitemap error:', err);
+        res.status(500).send('Failed to build sitemap');
+    }
+});
+
+app.get('/robots.txt', (req, res) => {
+    setPublicCaching(res);
+    res.type('text/plain').send(`User-agent: *
+Disallow: /admin
+Disallow: /api/
+Disallow: /login.html
+
+Sitemap: ${siteUrl(req)}/sitemap.xml
+`);
+});
+
+// ==== Speaker One-Sheets (PDF) ====
+// Branded sheets for client proposals, built from the stored record; account managers only,
+// so drafts can be pitched before their profile goes live
+const ONESHEET_LABELS = {
+    en: { keyTopics: 'Key topics', topics: 'Topics', profile: 'Full profile', proposal: 'Speaker proposal', preparedFor: 'Prepared for', speakers: 'Speakers', locale: 'en-CA' },
+    fr: { keyTopics: 'Sujets clés', topics: 'Sujets', profile: 'Profil complet', proposal: 'Proposition de conférenciers', preparedFor: 'Préparé pour', speakers: 'Conférenciers', locale: 'fr-CA' }
+};
+const ONESHEET_LANGUAGES = Object.keys(ONESHEET_LABELS);
+const ONESHEET_MAX_SPEAKERS = 25;
+const BRAND_COLOR = '#7877E6';
+const MUTED_COLOR = '#555555';
+
+// pdfkit only embeds JPEG and PNG, so uploads are re-encoded; remote images and emoji are left out
+async function onesheetPhoto(image) {
+    if (!(image || '').startsWith('/uploads/')) return null;
+    try {
+        return await sharp(path.join(UPLOADS_DIR, path.basename(image)))
+            .resize(480, 600, { fit: 'cover' })
+            .jpeg({ quality: 85 })
+            .toBuffer();
+    } catch {
+        return null;
+    }
+}
+
+// The built-in PDF fonts only cover Windows-1252; anything else (emoji, arrows) would print as garbage
+function pdfText(value) {
+    return String(value || '').replace(/[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]/g, '').replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+// Everything a sheet needs, loaded up front so the PDF can be written in one pass
+async function loadOnesheet(req, speaker, lang) {
+    return {
+        lang,
+        name: pdfText(localizedField(speaker, 'name', lang)),
+        title: pdfText(localizedField(speaker, 'title', lang)),
+        bio: pdfText(localizedField(speaker, 'bio', lang)),
+        keyTopics: (localizedField(speaker, 'keyTopics', lang) || []).map(pdfText).filter(Boolean),
+        topics: (localizedField(speaker, 'topics', lang) || []).map(pdfText).filter(Boolean),
+        photo: await onesheetPhoto(speaker.image),
+        profileUrl: isPublicSpeaker(speaker) ? siteUrl(req) + profilePath(speaker, lang) : null
+    };
+}
+
+async function loadBranding(lang) {
+    const { content } = resolveContent(await storage.content.get(), lang);
+    return {
+        siteName: pdfText(content.siteName) || SITE_NAME,
+        contact: pdfText(content.footerContact),
+        copyright: pdfText(content.footerCopyright)
+    };
+}
+
+function createOnesheetDocument(branding, title) {
+    return new PDFDocument({
+        size: 'LETTER',
+        margins: { top: 100, bottom: 70, left: 50, right: 50 },
+        bufferPages: true,
+        info: { Title: title, Author: branding.siteName, Creator: branding.siteName }
+    });
+}
+
+function drawOnesheet(doc, sheet) {
+    const labels = ONESHEET_LABELS[sheet.lang];
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const top = doc.y;
+    const photoWidth = 170;
+    const textLeft = sheet.photo ? left + photoWidth + 25 : left;
+    const textWidth = width - (textLeft - left);
+
+    if (sheet.photo) doc.image(sheet.photo, left, top, { width: photoWidth, height: photoWidth * 1.25 });
+    doc.font('Helvetica-Bold').fontSize(24).fillColor('#000000').text(sheet.name, textLeft, top, { width: textWidth });
+    if (sheet.title) doc.moveDown(0.3).font('Helvetica').fontSize(12).fillColor(MUTED_COLOR).text(sheet.title, { width: textWidth });
+    if (sheet.profileUrl) {
+        doc.moveDown(0.6).fontSize(9).fillColor(BRAND_COLOR)
+            .text(`${labels.profile}: ${sheet.profileUrl}`, { width: textWidth, link: sheet.profileUrl });
+    }
+
+    doc.x = left;
+    doc.y = Math.max(doc.y, sheet.photo ? top + photoWidth * 1.25 : 0) + 25;
+    sheet.bio.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean).forEach(paragraph => {
+        doc.font('Helvetica').fontSize(10.5).fillColor('#222222').text(paragraph, left, doc.y, { width, align: 'justify', lineGap: 2 });
+        doc.moveDown(0.7);
+    });
+
+    if (sheet.keyTopics.length) {
+        doc.moveDown(0.5).font('Helvetica-Bold').fontSize(13).fillColor(BRAND_COLOR).text(labels.keyTopics, left, doc.y, { width });
+        doc.moveDown(0.4).font('Helvetica').fontSize(10.5).fillColor('#222222');
+        sheet.keyTopics.forEach(topic => doc.text(`•  ${topic}`, left + 10, doc.y, { width: width - 10, lineGap: 2 }));
+    }
+    if (sheet.topics.length) {
+        doc.moveDown(1).font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR)
+            .text(`${labels.topics}: `, left, doc.y, { width, continued: true })
+            .font('Helvetica').text(sheet.topics.join(' · '));
+    }
+}
+
+function drawProposalCover(doc, sheets, { lang, client }) {
+    const labels = ONESHEET_LABELS[lang];
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    doc.moveDown(4).font('Helvetica-Bold').fontSize(30).fillColor('#000000').text(labels.proposal, left, doc.y, { width });
+    if (client) doc.moveDown(0.5).font('Helvetica').fontSize(14).fillColor(MUTED_COLOR).text(`${labels.preparedFor} ${client}`, { width });
+    doc.moveDown(0.3).font('Helvetica').fontSize(11).fillColor(MUTED_COLOR)
+        .text(new Date().toLocaleDateString(labels.locale, { dateStyle: 'long', timeZone: DEFAULT_TIME_ZONE }), { width });
+
+    doc.moveDown(2).font('Helvetica-Bold').fontSize(13).fillColor(BRAND_COLOR).text(labels.speakers, { width });
+    doc.moveDown(0.5);
+    sheets.forEach((sheet, i) => {
+        doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000').text(`${i + 1}. ${sheet.name}`, left, doc.y, { width, continued: !!sheet.title });
+        if (sheet.title) doc.font('Helvetica').fillColor(MUTED_COLOR).text(` – ${sheet.title}`);
+        doc.moveDown(0.3);
+    });
+}
+
+// Header band and footer go on every page once the content has been laid out
+function drawBranding(doc, branding) {
+    const { count } = doc.bufferedPageRange();
+    for (let i = 0; i < count; i++) {
+        doc.switchToPage(i);
+        const { width, height, margins } = doc.page;
+        const bottom = margins.bottom;
+        // Writing inside the bottom margin would otherwise start a new page
+        doc.page.margins.bottom = 0;
+        doc.rect(0, 0, width, 60).fill(BRAND_COLOR);
+        doc.font('Helvetica-Bold').fontSize(16).fillColor('#FFFFFF').text(branding.siteName, margins.left, 22, { width: width - margins.left - margins.right, lineBreak: false });
+        const footer = [branding.contact, branding.copyright].filter(Boolean).join('   ');
+        doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+            .text(footer, margins.left, height - 45, { width: width - margins.left - margins.right - 40, lineBreak: false })
+            .text(`${i + 1} / ${count}`, width - margins.right - 40, height - 45, { width: 40, align: 'right', lineBreak: false });
+        doc.page.margins.bottom = bottom;
+    }
+}
+
+function sendPdf(res, doc, filename) {
+    res.type('application/pdf');
+    res.attachment(filename);
+    doc.pipe(res);
+    doc.end();
+}
+
+app.get('/api/speakers/:id/onesheet.pdf', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const lang = req.query.lang || 'en';
+        if (!ONESHEET_LANGUAGES.includes(lang)) {
+            return sendValidationErrors(res, { lang: `Must be one of: ${ONESHEET_LANGUAGES.join(', ')}` });
+        }
+        const speaker = await storage.speakers.get(parseInt(req.params.id));
+        if (!speaker) return res.status(404).json({ error: 'Speaker not found' });
+
+        const sheet = await loadOnesheet(req, speaker, lang);
+        const branding = await loadBranding(lang);
+        const doc = createOnesheetDocument(branding, sheet.name);
+        drawOnesheet(doc, sheet);
+        drawBranding(doc, branding);
+        sendPdf(res, doc, `${speaker.slug || `speaker-${speaker.id}`}-${lang}.pdf`);
+    } catch (err) {
+        console.error('One-sheet error:', err);
+        res.status(500).json({ error: 'Failed to generate one-sheet' });
+    }
+});
+
+// A cover page listing the shortlist, then one sheet per speaker in the order given.
+// ?ids=4,6,9&lang=en|fr&client=
+app.get('/api/proposal.pdf', requirePermission('admin:read'), async (req, res) => {
+    try {
+        const lang = req.query.lang || 'en';
+        const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+        const client = pdfText(String(req.query.client || '')).slice(0, 200);
+        const errors = {};
+        if (!ONESHEET_LANGUAGES.includes(lang)) errors.lang = `Must be one of: ${ONESHEET_LANGUAGES.join(', ')}`;
+        if (!ids.length) errors.ids = 'At least one speaker id is required';
+        else if (ids.length > ONESHEET_MAX_SPEAKERS) errors.ids = `At most ${ONESHEET_MAX_SPEAKERS} speakers per proposal`;
+        else if (ids.some(id => !/^\d+$/.test(id))) errors.ids = 'Must be a comma-separated list of speaker ids';
+        if (Object.keys(errors).length) return sendValidationErrors(res, errors);
+
+        const speakers = await storage.speakers.all();
+        const selected = ids.map(id => speakers.find(s => s.id === Number(id)));
+        const missing = ids.filter((id, i) => !selected[i]);
+        if (missing.length) return sendValidationErrors(res, { ids: `Unknown speaker ids: ${missing.join(', ')}` });
+
+        const sheets = [];
+        for (const speaker of selected) sheets.push(await loadOnesheet(req, speaker, lang));
+        const branding = await loadBranding(lang);
+        const doc = createOnesheetDocument(branding, ONESHEET_LABELS[lang].proposal + (client ? ` – ${client}` : ''));
+        drawProposalCover(doc, sheets, { lang, client });
+        sheets.forEach(sheet => {
+            doc.addPage();
+            drawOnesheet(doc, sheet);
+        });
+        drawBranding(doc, branding);
+        sendPdf(res, doc, `proposal-${new Date().toISOString().slice(0, 10)}-${lang}.pdf`);
+    } catch (err) {
+        console.error('Proposal error:', err);
+        res.status(500).json({ error: 'Failed to generate proposal' });
+    }
 });
 
 // ==== Admin Panel (Protected) ====
@@ -445,9 +4913,10 @@ app.get('/admin', (req, res) => {
 
 // ==== Start Server ====
 ensureDataFiles().then(() => {
+    startWebhookWorker();
     app.listen(PORT, () => {
         console.log(`✅ Server ready → http://localhost:${PORT}`);
         console.log(`🔒 Admin → http://localhost:${PORT}/admin`);
-        console.log(`⚠️  Remember to change default admin credentials!`);
+        console.log(`✉️  Mail transport → ${mailer.name}`);
     });
 });
\ No newline at end of file
@@ -0,0 +1,136 @@
+// storage/cache.js – keeps speakers, content and users in memory in front of a backend
+// Each collection is loaded once and served from memory until something changes it:
+// a write made through this layer, or an edit made outside the app that the backend's
+// watch() reports. Callers always get copies, so mutating a result never leaks into the cache.
+const COLLECTIONS = ['speakers', 'content', 'users'];
+
+function createCachedStorage(backend) {
+    // collection → { data, modifiedAt } once loaded
+    const entries = new Map();
+    // Loads in flight, so concurrent first reads share one backend call
+    const loading = new Map();
+    // Bumped on every invalidation; a load that started before one is not cached
+    const generations = new Map(COLLECTIONS.map(name => [name, 0]));
+    let stopWatching = null;
+
+    const loaders = {
+        speakers: () => backend.speakers.all(),
+        content: () => backend.content.get(),
+        users: () => backend.users.all()
+    };
+
+    async function load(name) {
+        if (entries.has(name)) return entries.get(name);
+        if (!loading.has(name)) {
+            const generation = generations.get(name);
+            loading.set(name, (async () => {
+                try {
+                    const data = await loaders[name]();
+                    const modifiedAt = (await backend.modifiedAt(name)) || new Date();
+                    const entry = { data, modifiedAt };
+                    if (generations.get(name) === generation) {
+                        entries.set(name, entry);
+                        console.log(`🧠 Cache loaded: ${name}`);
+                    }
+                    return entry;
+                } finally {
+                    loading.delete(name);
+                }
+            })());
+        }
+        return loading.get(name);
+    }
+
+    async function read(name) {
+        return structuredClone((await load(name)).data);
+    }
+
+    function invalidate(name) {
+        generations.set(name, generations.get(name) + 1);
+        entries.delete(name);
+    }
+
+    // Runs a backend write, then drops the cached copy; the modification time is the write's
+    function writer(name, fn) {
+        return async (...args) => {
+            try {
+                return await fn(...args);
+            } finally {
+                invalidate(name);
+            }
+        };
+    }
+
+    const speakers = {
+        all: () => read('speakers'),
+        async get(id) {
+            const found = (await load('speakers')).data.find(s => s.id === id);
+            return found ? structuredClone(found) : null;
+        },
+        async getBySlug(slug) {
+            const found = (await load('speakers')).data.find(s => s.slug === slug);
+            return found ? structuredClone(found) : null;
+        },
+        create: writer('speakers', speaker => backend.speakers.create(speaker)),
+        update: writer('speakers', speaker => backend.speakers.update(speaker)),
+        remove: writer('speakers', id => backend.speakers.remove(id)),
+        upsertMany: writer('speakers', list => backend.speakers.upsertMany(list))
+    };
+
+    const content = {
+        get: () => read('content'),
+        set: writer('content', data => backend.content.set(data))
+    };
+
+    const users = {
+        all: () => read('users'),
+        async get(username) {
+            const found = (await load('users')).data.find(u => u.username === username);
+            return found ? structuredClone(found) : null;
+        },
+        async count(role) {
+            const { data } = await load('users');
+            return role === undefined ? data.length : data.filter(u => u.role === role).length;
+        },
+        create: writer('users', user => backend.users.create(user)),
+        update: writer('users', user => backend.users.update(user)),
+        remove: writer('users', username => backend.users.remove(username))
+    };
+
+    return {
+        driver: backend.driver,
+
+        async init() {
+            await backend.init();
+            stopWatching = backend.watch(name => {
+                invalidate(name);
+                console.log(`👀 ${name} changed outside the app; cache cleared`);
+            });
+        },
+
+        async replaceAll(snapshot) {
+            try {
+                await backend.replaceAll(snapshot);
+            } finally {
+                COLLECTIONS.forEach(invalidate);
+            }
+        },
+
+        // When the collection last changed, for Last-Modified headers
+        async lastModified(name) {
+            return (await load(name)).modifiedAt;
+        },
+
+        async close() {
+            if (stopWatching) stopWatching();
+            stopWatching = null;
+            await backend.close();
+        },
+
+        speakers,
+        content,
+        users
+    };
+}
+
+module.exports = { createCachedStorage, COLLECTIONS };
@@ -0,0 +1,32 @@
+// storage/index.js – picks the backend for speakers, content and users
+//
+// Every backend exposes the same repositories (all methods async):
+//   speakers: all(), get(id), getBySlug(slug), create(speaker), update(speaker), remove(id), upsertMany(speakers)
+//   content:  get(), set(content)
+//   users:    all(), get(username), count(role?), create(user), update(user), remove(username)
+// plus init(), replaceAll({ speakers, content, users }) and close(). Backends also provide
+// modifiedAt(collection) and watch(onChange) for the in-memory cache (./cache) that wraps them;
+// the app only sees the cached storage, which adds lastModified(collection).
+//
+// Each call is all-or-nothing on its own (one SQLite transaction, or one file rename). Nothing spans
+// calls, and revisions, trash, inquiries… stay in JSON files beside either backend, so a crash between
+// a storage write and the revision recorded after it can leave the history one change behind.
+//
+// STORAGE_DRIVER=json (default) keeps ./data/*.json; STORAGE_DRIVER=sqlite uses SQLITE_FILE (./data/facettes.db).
+// Move existing data over with `npm run migrate:sqlite`.
+const { createCachedStorage } = require('./cache');
+
+const STORAGE_DRIVERS = ['json', 'sqlite'];
+
+function createBackend(driver) {
+    if (driver === 'json') return require('./json').createJsonStorage();
+    // Only loaded when selected, so the JSON setup doesn't need the native module
+    if (driver === 'sqlite') return require('./sqlite').createSqliteStorage();
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+}
+
+function createStorage(driver = process.env.STORAGE_DRIVER || 'json') {
+    return createCachedStorage(createBackend(driver));
+}
+
+module.exports = { createStorage, STORAGE_DRIVERS };
@@ -0,0 +1,175 @@
+// storage/json.js – speakers, content and users kept as JSON files under ./data
+// No caching here: storage/cache.js keeps the parsed data in memory in front of this backend.
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = './data';
+const SPEAKERS_FILE = path.join(DATA_DIR, 'speakers.json');
+const CONTENT_FILE = path.join(DATA_DIR, 'content.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+
+// Write to a temp file next to the target, flush it, then rename over the original.
+// A crash mid-write leaves the old file intact instead of a truncated one.
+async function writeJsonAtomic(file, data) {
+    const tmp = `${file}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const handle = await fs.open(tmp, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    try {
+        await fs.rename(tmp, file);
+    } catch (err) {
+        await fs.unlink(tmp).catch(() => {});
+        throw err;
+    }
+}
+
+const COLLECTION_FILES = { speakers: SPEAKERS_FILE, content: CONTENT_FILE, users: USERS_FILE };
+
+function createJsonStorage() {
+    // mtime of each file right after this process wrote it, so watch() can tell our writes from outside edits;
+    // `writing` covers the gap between the rename and recording that mtime
+    const ownWrites = new Map();
+    const writing = new Set();
+
+    async function read(file) {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    }
+
+    async function write(file, data) {
+        writing.add(file);
+        try {
+            await writeJsonAtomic(file, data);
+            ownWrites.set(file, (await fs.stat(file)).mtimeMs);
+        } finally {
+            writing.delete(file);
+        }
+    }
+
+    async function ensureFile(file, initial) {
+        try {
+            await fs.access(file);
+        } catch {
+            await fs.writeFile(file, JSON.stringify(initial, null, 2));
+        }
+    }
+
+    const speakers = {
+        all: () => read(SPEAKERS_FILE),
+        async get(id) {
+            return (await read(SPEAKERS_FILE)).find(s => s.id === id) || null;
+        },
+        async getBySlug(slug) {
+            return (await read(SPEAKERS_FILE)).find(s => s.slug === slug) || null;
+        },
+        async create(speaker) {
+            const list = await read(SPEAKERS_FILE);
+            list.push(speaker);
+            await write(SPEAKERS_FILE, list);
+        },
+        async update(speaker) {
+            const list = await read(SPEAKERS_FILE);
+            await write(SPEAKERS_FILE, list.map(s => s.id === speaker.id ? speaker : s));
+        },
+        async remove(id) {
+            const list = await read(SPEAKERS_FILE);
+            await write(SPEAKERS_FILE, list.filter(s => s.id !== id));
+        },
+        // Updates the ones that exist and appends the rest, in one write
+        async upsertMany(changed) {
+            const list = await read(SPEAKERS_FILE);
+            for (const speaker of changed) {
+                const index = list.findIndex(s => s.id === speaker.id);
+                if (index === -1) list.push(speaker);
+                else list[index] = speaker;
+            }
+            await write(SPEAKERS_FILE, list);
+        }
+    };
+
+    const content = {
+        get: () => read(CONTENT_FILE),
+        set: data => write(CONTENT_FILE, data)
+    };
+
+    const users = {
+        all: () => read(USERS_FILE),
+        async get(username) {
+            return (await read(USERS_FILE)).find(u => u.username === username) || null;
+        },
+        async count(role) {
+            const list = await read(USERS_FILE);
+            return role === undefined ? list.length : list.filter(u => u.role === role).length;
+        },
+        async create(user) {
+            const list = await read(USERS_FILE);
+            list.push(user);
+            await write(USERS_FILE, list);
+        },
+        async update(user) {
+            const list = await read(USERS_FILE);
+            await write(USERS_FILE, list.map(u => u.username === user.username ? user : u));
+        },
+        async remove(username) {
+            const list = await read(USERS_FILE);
+            await write(USERS_FILE, list.filter(u => u.username !== username));
+        }
+    };
+
+    return {
+        driver: 'json',
+
+        async init() {
+            await fs.mkdir(DATA_DIR, { recursive: true });
+            await ensureFile(SPEAKERS_FILE, []);
+            await ensureFile(CONTENT_FILE, { en: {}, fr: {} });
+            await ensureFile(USERS_FILE, []);
+        },
+
+        // Replaces everything at once (used by the migration command)
+        async replaceAll(snapshot) {
+            await write(SPEAKERS_FILE, snapshot.speakers);
+            await write(CONTENT_FILE, snapshot.content);
+            await write(USERS_FILE, snapshot.users);
+        },
+
+        async modifiedAt(collection) {
+            return (await fs.stat(COLLECTION_FILES[collection])).mtime;
+        },
+
+        // Calls onChange(collection) when a file is replaced or edited by something other than
+        // this process. The directory is watched because atomic writes swap the file's inode.
+        watch(onChange) {
+            const names = new Map(Object.entries(COLLECTION_FILES).map(([collection, file]) => [path.basename(file), collection]));
+            let watcher;
+            try {
+                watcher = fsSync.watch(DATA_DIR, (eventType, filename) => {
+                    const collection = names.get(String(filename));
+                    const file = COLLECTION_FILES[collection];
+                    if (!collection || writing.has(file)) return;
+                    fs.stat(file).then(({ mtimeMs }) => {
+                        if (ownWrites.get(file) !== mtimeMs) onChange(collection);
+                    }, () => onChange(collection));
+                });
+            } catch (err) {
+                console.error('Data directory watch failed; outside edits need a restart:', err.message);
+                return () => {};
+            }
+            watcher.on('error', err => console.error('Data directory watch error:', err.message));
+            return () => watcher.close();
+        },
+
+        async close() {},
+
+        speakers,
+        content,
+        users
+    };
+}
+
+module.exports = { createJsonStorage, writeJsonAtomic, SPEAKERS_FILE, CONTENT_FILE, USERS_FILE };
@@ -0,0 +1,209 @@
+// storage/sqlite.js – speakers, content and users in an embedded SQLite database
+// Records are stored whole as JSON (their shape follows the registered locales);
+// the columns next to them exist for lookups, uniqueness and ordering.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_SQLITE_FILE = './data/facettes.db';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS speakers (
+        id INTEGER PRIMARY KEY,
+        slug TEXT UNIQUE,
+        name TEXT NOT NULL DEFAULT '',
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS speakers_position ON speakers (position);
+
+    CREATE TABLE IF NOT EXISTS content (
+        locale TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        strings TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS users (
+        username TEXT PRIMARY KEY,
+        role TEXT,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS users_role ON users (role);
+
+    CREATE TABLE IF NOT EXISTS changes (
+        collection TEXT PRIMARY KEY,
+        modified_at TEXT NOT NULL
+    );
+`;
+
+function createSqliteStorage({ file = process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE } = {}) {
+    let db = null;
+    let statements = null;
+
+    function prepare() {
+        return {
+            speakersAll: db.prepare('SELECT data FROM speakers ORDER BY position'),
+            speakerById: db.prepare('SELECT data FROM speakers WHERE id = ?'),
+            speakerBySlug: db.prepare('SELECT data FROM speakers WHERE slug = ?'),
+            speakerInsert: db.prepare(`INSERT INTO speakers (id, slug, name, position, data)
+                VALUES (@id, @slug, @name, (SELECT COALESCE(MAX(position), 0) + 1 FROM speakers), @data)`),
+            speakerUpdate: db.prepare('UPDATE speakers SET slug = @slug, name = @name, data = @data WHERE id = @id'),
+            speakerDelete: db.prepare('DELETE FROM speakers WHERE id = ?'),
+            speakersClear: db.prepare('DELETE FROM speakers'),
+
+            contentAll: db.prepare('SELECT locale, strings FROM content ORDER BY position'),
+            contentInsert: db.prepare('INSERT INTO content (locale, position, strings) VALUES (?, ?, ?)'),
+            contentClear: db.prepare('DELETE FROM content'),
+
+            usersAll: db.prepare('SELECT data FROM users ORDER BY position'),
+            userByName: db.prepare('SELECT data FROM users WHERE username = ?'),
+            usersCount: db.prepare('SELECT COUNT(*) AS count FROM users'),
+            usersCountByRole: db.prepare('SELECT COUNT(*) AS count FROM users WHERE role = ?'),
+            userInsert: db.prepare(`INSERT INTO users (username, role, position, data)
+                VALUES (@username, @role, (SELECT COALESCE(MAX(position), 0) + 1 FROM users), @data)`),
+            userUpdate: db.prepare('UPDATE users SET role = @role, data = @data WHERE username = @username'),
+            userDelete: db.prepare('DELETE FROM users WHERE username = ?'),
+            usersClear: db.prepare('DELETE FROM users'),
+
+            modifiedAt: db.prepare('SELECT modified_at FROM changes WHERE collection = ?'),
+            touch: db.prepare(`INSERT INTO changes (collection, modified_at) VALUES (?, ?)
+                ON CONFLICT (collection) DO UPDATE SET modified_at = excluded.modified_at`)
+        };
+    }
+
+    function speakerRow(speaker) {
+        return { id: speaker.id, slug: speaker.slug || null, name: speaker.name || '', data: JSON.stringify(speaker) };
+    }
+
+    function userRow(user) {
+        return { username: user.username, role: user.role || null, data: JSON.stringify(user) };
+    }
+
+    function parse(row) {
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    // Runs `fn` in a transaction that also records when `collection` last changed
+    function change(collection, fn) {
+        return (...args) => db.transaction(() => {
+            fn(...args);
+            statements.touch.run(collection, new Date().toISOString());
+        })();
+    }
+
+    const speakers = {
+        async all() {
+            return statements.speakersAll.all().map(parse);
+        },
+        async get(id) {
+            return parse(statements.speakerById.get(id));
+        },
+        async getBySlug(slug) {
+            return parse(statements.speakerBySlug.get(slug));
+        },
+        async create(speaker) {
+            change('speakers', () => statements.speakerInsert.run(speakerRow(speaker)))();
+        },
+        async update(speaker) {
+            change('speakers', () => statements.speakerUpdate.run(speakerRow(speaker)))();
+        },
+        async remove(id) {
+            change('speakers', () => statements.speakerDelete.run(id))();
+        },
+        async upsertMany(changed) {
+            change('speakers', list => {
+                for (const speaker of list) {
+                    const row = speakerRow(speaker);
+                    if (statements.speakerUpdate.run(row).changes === 0) statements.speakerInsert.run(row);
+                }
+            })(changed);
+        }
+    };
+
+    function writeContent(data) {
+        statements.contentClear.run();
+        Object.entries(data).forEach(([locale, strings], index) => {
+            statements.contentInsert.run(locale, index, JSON.stringify(strings));
+        });
+    }
+
+    const content = {
+        async get() {
+            return Object.fromEntries(statements.contentAll.all().map(row => [row.locale, JSON.parse(row.strings)]));
+        },
+        async set(data) {
+            change('content', writeContent)(data);
+        }
+    };
+
+    const users = {
+        async all() {
+            return statements.usersAll.all().map(parse);
+        },
+        async get(username) {
+            return parse(statements.userByName.get(username));
+        },
+        async count(role) {
+            return (role === undefined ? statements.usersCount.get() : statements.usersCountByRole.get(role)).count;
+        },
+        async create(user) {
+            change('users', () => statements.userInsert.run(userRow(user)))();
+        },
+        async update(user) {
+            change('users', () => statements.userUpdate.run(userRow(user)))();
+        },
+        async remove(username) {
+            change('users', () => statements.userDelete.run(username))();
+        }
+    };
+
+    return {
+        driver: 'sqlite',
+        file,
+
+        async init() {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            db = new Database(file);
+            db.pragma('journal_mode = WAL');
+            db.exec(SCHEMA);
+            statements = prepare();
+            if (!statements.contentAll.all().length) writeContent({ en: {}, fr: {} });
+        },
+
+        // Replaces everything in a single transaction (used by the migration command)
+        async replaceAll(snapshot) {
+            db.transaction(() => {
+                statements.speakersClear.run();
+                snapshot.speakers.forEach(speaker => statements.speakerInsert.run(speakerRow(speaker)));
+                writeContent(snapshot.content);
+                statements.usersClear.run();
+                snapshot.users.forEach(user => statements.userInsert.run(userRow(user)));
+                const now = new Date().toISOString();
+                ['speakers', 'content', 'users'].forEach(collection => statements.touch.run(collection, now));
+            })();
+        },
+
+        // null until the collection is first written; the cache then uses its load time
+        async modifiedAt(collection) {
+            const row = statements.modifiedAt.get(collection);
+            return row ? new Date(row.modified_at) : null;
+        },
+
+        // Every write goes through this process, so there is nothing to watch
+        watch() {
+            return () => {};
+        },
+
+        async close() {
+            if (db) db.close();
+            db = null;
+        },
+
+        speakers,
+        content,
+        users
+    };
+}
+
+module.exports = { createSqliteStorage, DEFAULT_SQLITE_FILE };
@@ -0,0 +1,137 @@
+// Invitation and password-reset links: single use, stored hashed, and the passwords they set work
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+// The token from an account link (…/set-password.html#<type>=<token>)
+function linkToken(text, type) {
+    const match = new RegExp(`#${type}=([^\\s"<]+)`).exec(text);
+    assert.ok(match, `no ${type} link in:\n${text}`);
+    return decodeURIComponent(match[1]);
+}
+
+async function storedTokens() {
+    return JSON.parse(await fs.readFile(path.join(server.dir, 'data', 'account-tokens.json'), 'utf8'));
+}
+
+test('an invitation creates the account once and only stores a hash of its token', async () => {
+    const created = await owner.post('/api/invitations', { username: 'ines', email: 'ines@example.com', role: 'editor' });
+    assert.equal(created.status, 201);
+    const token = linkToken(created.body.url, 'invitation');
+
+    const mail = await server.mail();
+    assert.equal(mail.at(-1).to, 'ines@example.com');
+    assert.equal(linkToken(mail.at(-1).text, 'invitation'), token);
+
+    const stored = JSON.stringify(await storedTokens());
+    assert.ok(!stored.includes(token), 'the raw token is in account-tokens.json');
+
+    const pending = await server.client().get(`/api/auth/invitation?token=${encodeURIComponent(token)}`);
+    assert.equal(pending.status, 200);
+    assert.equal(pending.body.username, 'ines');
+
+    const guest = server.client();
+    const accepted = await guest.post('/api/auth/accept-invitation', { token, password: 'ines-password' });
+    assert.equal(accepted.status, 201);
+    await guest.login('ines', 'ines-password');
+
+    const again = await server.client().post('/api/auth/accept-invitation', { token, password: 'other-password' });
+    assert.equal(again.status, 400);
+});
+
+test('an invitation is refused with a short password or an unknown token', async () => {
+    const created = await owner.post('/api/invitations', { username: 'jules', email: 'jules@example.com' });
+    const token = linkToken(created.body.url, 'invitation');
+
+    const short = await server.client().post('/api/auth/accept-invitation', { token, password: 'short' });
+    assert.equal(short.status, 400);
+    const unknown = await server.client().post('/api/auth/accept-invitation', { token: `${token}x`, password: 'jules-password' });
+    assert.equal(unknown.status, 400);
+    assert.equal((await server.client().get('/api/auth/invitation?token=nope')).status, 404);
+});
+
+test('a reset link changes the password once and stops every other link for the account', async () => {
+    await owner.post('/api/invitations', { username: 'marc', email: 'marc@example.com' })
+        .then(res => server.client().post('/api/auth/accept-invitation', { token: linkToken(res.body.url, 'invitation'), password: 'marc-password' }));
+
+    for (let i = 0; i < 2; i++) {
+        const marc = (await owner.get('/api/users')).body.find(u => u.username === 'marc');
+        const reset = await owner.post('/api/users/marc/reset-password', {}, { headers: { 'If-Match': marc.etag } });
+        assert.equal(reset.status, 200);
+    }
+    const [first, token] = (await server.mail()).filter(m => m.to === 'marc@example.com' && m.text.includes('#reset=')).map(m => linkToken(m.text, 'reset'));
+    assert.ok(!JSON.stringify(await storedTokens()).includes(token), 'the raw token is in account-tokens.json');
+
+    const guest = server.client();
+    const changed = await guest.post('/api/auth/reset-password', { token, newPassword: 'marc-new-password' });
+    assert.equal(changed.status, 200);
+    await guest.login('marc', 'marc-new-password');
+
+    const again = await server.client().post('/api/auth/reset-password', { token, newPassword: 'marc-third-password' });
+    assert.equal(again.status, 400);
+    const older = await server.client().post('/api/auth/reset-password', { token: first, newPassword: 'marc-third-password' });
+    assert.equal(older.status, 400);
+});
+
+test('forgot-password answers the same whether or not the account exists', async () => {
+    const known = await server.client().post('/api/auth/forgot-password', { username: 'ines@example.com' });
+    const unknown = await server.client().post('/api/auth/forgot-password', { username: 'nobody@example.com' });
+    assert.equal(known.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+});
+
+test('change-password validates the new password instead of failing', async () => {
+    const editor = server.client();
+    await editor.login('ines', 'ines-password');
+    const numeric = await editor.post('/api/auth/change-password', { currentPassword: 'ines-password', newPassword: 12345678 });
+    assert.equal(numeric.status, 400);
+    const wrong = await editor.post('/api/auth/change-password', { currentPassword: 'not-it', newPassword: 'ines-password-2' });
+    assert.equal(wrong.status, 401);
+});
+
+test('a temporary password has to be replaced before anything else works', async () => {
+    const created = await owner.post('/api/users', { username: 'nora', password: 'temporary-1', role: 'editor' });
+    assert.equal(created.status, 201);
+    const nora = server.client();
+    const login = await nora.login('nora', 'temporary-1');
+    assert.equal(login.body.mustChangePassword, true);
+
+    const blocked = await nora.get('/api/admin/speakers');
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.mustChangePassword, true);
+
+    assert.equal((await nora.post('/api/auth/change-password', { currentPassword: 'temporary-1', newPassword: 'short' })).status, 400);
+    assert.equal((await nora.post('/api/auth/change-password', { currentPassword: 'temporary-1', newPassword: 'nora-password' })).status, 200);
+    assert.equal((await nora.get('/api/admin/speakers')).status, 200);
+
+    // An owner-set temporary password starts the cycle again
+    const version = { headers: { 'If-Match': (await owner.get('/api/users')).body.find(u => u.username === 'nora').etag } };
+    assert.equal((await owner.post('/api/users/nora/reset-password', { newPassword: 'temporary-2' }, version)).status, 200);
+    assert.equal((await nora.get('/api/admin/speakers')).status, 403);
+});
+
+test('owners must pick a valid password for new accounts and resets', async () => {
+    for (const password of [12345678, 'short', '']) {
+        const res = await owner.post('/api/users', { username: 'olga', password });
+        assert.equal(res.status, 400, String(password));
+    }
+    assert.equal((await owner.post('/api/users', { username: 'olga', password: 'olga-temp-1' })).status, 201);
+
+    // No email address, so there is nowhere to send a reset link
+    const version = { headers: { 'If-Match': (await owner.get('/api/users')).body.find(u => u.username === 'olga').etag } };
+    assert.equal((await owner.post('/api/users/olga/reset-password', {}, version)).status, 400);
+    assert.equal((await owner.post('/api/users/olga/reset-password', { newPassword: 'tiny' }, version)).status, 400);
+});
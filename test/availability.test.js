@@ -0,0 +1,172 @@
+// Speaker bookings, holds and blackouts: overlaps, time zones, the public check and the iCal feed
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+const version = res => ({ headers: { 'If-Match': res.headers.get('etag') } });
+
+async function createSpeaker(name) {
+    const res = await owner.post('/api/speakers', { name, status: 'published' });
+    assert.equal(res.status, 201);
+    return res;
+}
+
+test('a booking may not overlap another booking', async () => {
+    const { body: { id } } = await createSpeaker('Booked Speaker');
+    const first = await owner.post(`/api/speakers/${id}/availability`, {
+        type: 'booking', start: '2026-11-03T09:00', end: '2026-11-03T12:00', timeZone: 'America/Toronto', title: 'Keynote'
+    });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.startUtc, '2026-11-03T14:00:00.000Z');
+
+    const clash = await owner.post(`/api/speakers/${id}/availability`, {
+        type: 'booking', start: '2026-11-03T11:00', end: '2026-11-03T13:00', timeZone: 'America/Toronto'
+    });
+    assert.equal(clash.status, 409);
+    assert.deepEqual(clash.body.conflicts.map(c => c.id), [first.body.id]);
+
+    // Same wall-clock time in Vancouver is three hours later, so it's free
+    const later = await owner.post(`/api/speakers/${id}/availability`, {
+        type: 'booking', start: '2026-11-03T09:00', end: '2026-11-03T10:00', timeZone: 'America/Vancouver'
+    });
+    assert.equal(later.status, 201);
+});
+
+test('holds stack, but not over a blackout', async () => {
+    const { body: { id } } = await createSpeaker('Held Speaker');
+    const hold = { type: 'hold', start: '2026-12-01', end: '2026-12-02' };
+    assert.equal((await owner.post(`/api/speakers/${id}/availability`, hold)).status, 201);
+    assert.equal((await owner.post(`/api/speakers/${id}/availability`, hold)).status, 201);
+
+    assert.equal((await owner.post(`/api/speakers/${id}/availability`, { type: 'blackout', start: '2026-12-10', end: '2026-12-12' })).status, 201);
+    const blocked = await owner.post(`/api/speakers/${id}/availability`, { type: 'hold', start: '2026-12-12', end: '2026-12-12' });
+    assert.equal(blocked.status, 409);
+});
+
+test('all-day entries cover whole local days across a DST change', async () => {
+    const { body: { id } } = await createSpeaker('Travelling Speaker');
+    // Clocks go back in Toronto on 2026-11-01, so that day is 25 hours long
+    const res = await owner.post(`/api/speakers/${id}/availability`, {
+        type: 'blackout', start: '2026-11-01', end: '2026-11-01', timeZone: 'America/Toronto'
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.allDay, true);
+    assert.equal(res.body.startUtc, '2026-11-01T04:00:00.000Z');
+    assert.equal(res.body.endUtc, '2026-11-02T05:00:00.000Z');
+
+    const mixed = await owner.post(`/api/speakers/${id}/availability`, { type: 'hold', start: '2026-11-05', end: '2026-11-05T10:00' });
+    assert.equal(mixed.status, 400);
+    assert.ok(mixed.body.fields.end);
+    const badZone = await owner.post(`/api/speakers/${id}/availability`, { type: 'hold', start: '2026-11-05', end: '2026-11-05', timeZone: 'Mars/Olympus' });
+    assert.equal(badZone.status, 400);
+    assert.ok(badZone.body.fields.timeZone);
+});
+
+test('the list filters by date range and rejects dates it cannot parse', async () => {
+    const { body: { id } } = await createSpeaker('Busy Speaker');
+    for (const day of ['2027-01-10', '2027-01-20', '2027-02-05']) {
+        await owner.post(`/api/speakers/${id}/availability`, { type: 'hold', start: day, end: day });
+    }
+
+    const january = await owner.get(`/api/speakers/${id}/availability?from=2027-01-01&to=2027-01-20`);
+    assert.equal(january.status, 200);
+    assert.deepEqual(january.body.map(e => e.start), ['2027-01-10', '2027-01-20']);
+
+    const february = await owner.get(`/api/speakers/${id}/availability?from=2027-01-21`);
+    assert.deepEqual(february.body.map(e => e.start), ['2027-02-05']);
+
+    for (const query of ['from=2027-1-5', 'to=January', 'from=2027-02-30', 'from=2027-02-01&to=2027-01-01']) {
+        const res = await owner.get(`/api/speakers/${id}/availability?${query}`);
+        assert.equal(res.status, 400, query);
+    }
+});
+
+test('the public check reports a status without details', async () => {
+    const { body: { id } } = await createSpeaker('Checked Speaker');
+    await owner.post(`/api/speakers/${id}/availability`, { type: 'hold', start: '2027-03-01', end: '2027-03-01', client: 'Acme' });
+    await owner.post(`/api/speakers/${id}/availability`, { type: 'booking', start: '2027-03-02T13:00', end: '2027-03-02T15:00' });
+
+    const visitor = server.client();
+    const statuses = {};
+    for (const date of ['2027-03-01', '2027-03-02', '2027-03-03']) {
+        const res = await visitor.get(`/api/speakers/${id}/availability/check?date=${date}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.client, undefined);
+        statuses[date] = res.body.status;
+    }
+    assert.deepEqual(statuses, { '2027-03-01': 'tentative', '2027-03-02': 'unavailable', '2027-03-03': 'available' });
+    assert.equal((await visitor.get(`/api/speakers/${id}/availability/check?date=tomorrow`)).status, 400);
+    assert.equal((await visitor.get(`/api/speakers/${id}/availability`)).status, 401);
+});
+
+test('entry updates and deletes need the current ETag', async () => {
+    const { body: { id } } = await createSpeaker('Confirmed Speaker');
+    const hold = await owner.post(`/api/speakers/${id}/availability`, { type: 'hold', start: '2027-04-01', end: '2027-04-01' });
+    const url = `/api/speakers/${id}/availability/${hold.body.id}`;
+
+    assert.equal((await owner.put(url, { type: 'booking' })).status, 428);
+    const confirmed = await owner.put(url, { type: 'booking' }, version(hold));
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.type, 'booking');
+    assert.equal(confirmed.body.start, '2027-04-01');
+
+    assert.equal((await owner.delete(url, version(hold))).status, 409);
+    assert.equal((await owner.delete(url, version(confirmed))).status, 200);
+});
+
+test('the calendar feed needs its token, and rotating it revokes the old URL', async () => {
+    const { body: { id } } = await createSpeaker('Subscribed Speaker');
+    await owner.post(`/api/speakers/${id}/availability`, { type: 'booking', start: '2027-05-04T10:00', end: '2027-05-04T11:00', title: 'Workshop' });
+
+    const feed = await owner.post(`/api/speakers/${id}/availability/feed`, {});
+    const { pathname, search } = new URL(feed.body.url);
+    const feedPath = pathname + search;
+    const calendar = await server.client().get(feedPath);
+    assert.equal(calendar.status, 200);
+    assert.match(calendar.headers.get('content-type'), /text\/calendar/);
+    assert.match(calendar.body, /SUMMARY:Booked: Workshop/);
+    assert.match(calendar.body, /DTSTART:20270504T140000Z/);
+
+    assert.equal((await server.client().get(`/api/speakers/${id}/availability.ics?token=nope`)).status, 404);
+    await owner.post(`/api/speakers/${id}/availability/feed`, { rotate: true });
+    assert.equal((await server.client().get(feedPath)).status, 404);
+});
+
+test('trashed speakers drop out of the check and feed, and purging removes their entries', async () => {
+    const created = await createSpeaker('Departed Speaker');
+    const id = created.body.id;
+    await owner.post(`/api/speakers/${id}/availability`, { type: 'booking', start: '2027-06-01', end: '2027-06-01' });
+    const feed = await owner.post(`/api/speakers/${id}/availability/feed`, {});
+    const { pathname, search } = new URL(feed.body.url);
+    const feedPath = pathname + search;
+
+    await owner.delete(`/api/speakers/${id}`, version(created));
+    assert.equal((await server.client().get(feedPath)).status, 404);
+    assert.equal((await server.client().get(`/api/speakers/${id}/availability/check?date=2027-06-01`)).status, 404);
+
+    // Restoring brings the entries back with the speaker
+    await owner.post(`/api/trash/${id}/restore`, {});
+    assert.equal((await owner.get(`/api/speakers/${id}/availability`)).body.length, 1);
+    assert.equal((await server.client().get(feedPath)).status, 200);
+
+    const current = await owner.get(`/api/admin/speakers/${id}`);
+    await owner.delete(`/api/speakers/${id}`, version(current));
+    assert.equal((await owner.delete(`/api/trash/${id}`)).status, 200);
+    const stored = JSON.parse(await fs.readFile(path.join(server.dir, 'data', 'availability.json'), 'utf8'));
+    assert.equal(stored.filter(e => e.speakerId === id).length, 0);
+    const feeds = JSON.parse(await fs.readFile(path.join(server.dir, 'data', 'calendar-feeds.json'), 'utf8'));
+    assert.equal(feeds[id], undefined);
+});
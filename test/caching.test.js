@@ -0,0 +1,101 @@
+// HTTP caching of public reads (ETags per content coding, Last-Modified, 304s) and the in-memory store
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+let visitor;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    visitor = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+// fetch() adds `Cache-Control: no-cache` to conditional requests unless told otherwise, which skips the 304
+const revalidate = headers => ({ headers: { 'Cache-Control': 'max-age=0', ...headers } });
+
+async function createSpeaker(fields) {
+    const res = await owner.post('/api/speakers', { status: 'published', ...fields });
+    assert.equal(res.status, 201);
+    return res;
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+test('public responses get a different strong ETag per content coding and revalidate with either', async () => {
+    const created = await createSpeaker({ name: 'Mary Somerville', bio: 'Wrote on physical geography and astronomy. '.repeat(60) });
+    const url = `/api/speakers/${created.body.id}`;
+
+    const plain = await visitor.get(url, { headers: { 'Accept-Encoding': 'identity' } });
+    const gzip = await visitor.get(url, { headers: { 'Accept-Encoding': 'gzip' } });
+    assert.equal(gzip.headers.get('content-encoding'), 'gzip');
+    assert.ok(plain.headers.get('etag') && !plain.headers.get('etag').startsWith('W/'));
+    assert.equal(gzip.headers.get('etag'), plain.headers.get('etag').replace(/"$/, '-gzip"'));
+
+    for (const res of [plain, gzip]) {
+        const cached = await visitor.get(url, revalidate({ 'Accept-Encoding': 'gzip', 'If-None-Match': res.headers.get('etag') }));
+        assert.equal(cached.status, 304);
+    }
+});
+
+test('public reads are revalidated every time and carry Last-Modified', async () => {
+    await createSpeaker({ name: 'Caroline Herschel' });
+    const list = await visitor.get('/api/speakers');
+    assert.equal(list.headers.get('cache-control'), 'public, no-cache');
+    const lastModified = list.headers.get('last-modified');
+    assert.ok(lastModified);
+
+    const unchanged = await visitor.get('/api/speakers', revalidate({ 'If-None-Match': list.headers.get('etag') }));
+    assert.equal(unchanged.status, 304);
+    const since = await visitor.get('/api/speakers', revalidate({ 'If-Modified-Since': lastModified }));
+    assert.equal(since.status, 304);
+
+    // An edit changes the body, so the old tag no longer matches
+    await createSpeaker({ name: 'Williamina Fleming' });
+    const changed = await visitor.get('/api/speakers', revalidate({ 'If-None-Match': list.headers.get('etag') }));
+    assert.equal(changed.status, 200);
+    assert.ok(changed.body.items.some(s => s.name === 'Williamina Fleming'));
+});
+
+test('content writes accept the If-Match a compressed read handed out', async () => {
+    // compression() leaves bodies under 1 kB alone, so make the content big enough first
+    const first = await owner.get('/api/content');
+    const intro = 'Speakers on science, history and the arts. '.repeat(40);
+    assert.equal((await owner.put('/api/content', { en: { heroSubtitle: intro } }, { headers: { 'If-Match': first.headers.get('etag') } })).status, 200);
+
+    const read = await owner.get('/api/content', { headers: { 'Accept-Encoding': 'gzip' } });
+    const etag = read.headers.get('etag');
+    assert.match(etag, /-gzip"$/);
+
+    const saved = await owner.put('/api/content', { en: { heroTitle: 'Cached' } }, { headers: { 'If-Match': etag } });
+    assert.equal(saved.status, 200);
+    const stale = await owner.put('/api/content', { en: { heroTitle: 'Again' } }, { headers: { 'If-Match': etag } });
+    assert.equal(stale.status, 409);
+});
+
+test('edits made to the data files outside the app replace the cached copy', async () => {
+    const created = await createSpeaker({ name: 'Henrietta Leavitt' });
+    assert.equal((await visitor.get(`/api/speakers/${created.body.id}`)).body.name, 'Henrietta Leavitt');
+
+    const file = path.join(server.dir, 'data', 'speakers.json');
+    const speakers = JSON.parse(await fs.readFile(file, 'utf8'));
+    speakers.find(s => s.id === created.body.id).name = 'Henrietta Swan Leavitt';
+    await fs.writeFile(file, JSON.stringify(speakers, null, 2));
+
+    await waitFor(async () => (await visitor.get(`/api/speakers/${created.body.id}`)).body.name === 'Henrietta Swan Leavitt');
+});
@@ -0,0 +1,112 @@
+// ETags: admin writes must name the version they were based on; stale edits get 409, blind ones 428
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+async function createSpeaker(fields = {}) {
+    const res = await owner.post('/api/speakers', { name: 'Ada Lovelace', title: 'Mathematician', status: 'published', ...fields });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res;
+}
+
+test('a speaker update with the current ETag succeeds and returns the new one', async () => {
+    const created = await createSpeaker();
+    const etag = created.headers.get('etag');
+    assert.ok(etag);
+
+    const updated = await owner.put(`/api/speakers/${created.body.id}`, { title: 'Analyst' }, { headers: { 'If-Match': etag } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.title, 'Analyst');
+    assert.notEqual(updated.headers.get('etag'), etag);
+
+    // Weak and list forms of the current tag match too
+    const weak = await owner.put(`/api/speakers/${created.body.id}`, { title: 'Analyst and writer' },
+        { headers: { 'If-Match': `"other", W/${updated.headers.get('etag')}` } });
+    assert.equal(weak.status, 200);
+});
+
+test('the editor read returns the same version tag the write checks', async () => {
+    const created = await createSpeaker({ name: 'Emmy Noether' });
+    const loaded = await owner.get(`/api/admin/speakers/${created.body.id}`);
+    assert.equal(loaded.headers.get('etag'), created.headers.get('etag'));
+
+    const saved = await owner.put(`/api/speakers/${created.body.id}`, { title: 'Algebraist' }, { headers: { 'If-Match': loaded.headers.get('etag') } });
+    assert.equal(saved.status, 200);
+});
+
+test('a speaker update with a stale ETag is refused with 409 and leaves the record alone', async () => {
+    const created = await createSpeaker({ name: 'Grace Hopper' });
+    const stale = created.headers.get('etag');
+    const first = await owner.put(`/api/speakers/${created.body.id}`, { title: 'Rear admiral' }, { headers: { 'If-Match': stale } });
+    assert.equal(first.status, 200);
+
+    const second = await owner.put(`/api/speakers/${created.body.id}`, { title: 'Programmer' }, { headers: { 'If-Match': stale } });
+    assert.equal(second.status, 409);
+    assert.equal(second.headers.get('etag'), first.headers.get('etag'));
+
+    const current = await owner.get(`/api/speakers/${created.body.id}`);
+    assert.equal(current.body.title, 'Rear admiral');
+});
+
+test('writes without If-Match are refused with 428 and the current ETag', async () => {
+    const created = await createSpeaker({ name: 'Hedy Lamarr' });
+    const blind = await owner.put(`/api/speakers/${created.body.id}`, { title: 'Inventor' });
+    assert.equal(blind.status, 428);
+    assert.equal(blind.headers.get('etag'), created.headers.get('etag'));
+
+    assert.equal((await owner.delete(`/api/speakers/${created.body.id}`)).status, 428);
+    assert.equal((await owner.put('/api/content', { en: {}, fr: {} })).status, 428);
+
+    const removed = await owner.delete(`/api/speakers/${created.body.id}`, { headers: { 'If-Match': created.headers.get('etag') } });
+    assert.equal(removed.status, 200);
+});
+
+test('content and user records are versioned the same way', async () => {
+    const content = await owner.get('/api/content');
+    const etag = content.headers.get('etag');
+    assert.equal((await owner.put('/api/content', { en: { heroTitle: 'One' }, fr: {} }, { headers: { 'If-Match': etag } })).status, 200);
+    assert.equal((await owner.put('/api/content', { en: { heroTitle: 'Two' }, fr: {} }, { headers: { 'If-Match': etag } })).status, 409);
+
+    await owner.post('/api/users', { username: 'casey', password: 'password-123', role: 'viewer' });
+    const users = await owner.get('/api/users');
+    const userEtag = users.body.find(u => u.username === 'casey').etag;
+    assert.equal((await owner.put('/api/users/casey/role', { role: 'editor' }, { headers: { 'If-Match': userEtag } })).status, 200);
+    assert.equal((await owner.put('/api/users/casey/role', { role: 'viewer' }, { headers: { 'If-Match': userEtag } })).status, 409);
+});
+
+test('inquiry updates check If-Match against the etag in the inbox list', async () => {
+    const created = await server.client().post('/api/contact', {
+        name: 'Jane Doe', email: 'jane@example.com', topic: 'Offsite', details: 'Spring, 40 people'
+    });
+    const listed = await owner.get('/api/inquiries');
+    const { etag } = listed.body.find(i => i.id === created.body.id);
+
+    assert.equal((await owner.patch(`/api/inquiries/${created.body.id}`, { status: 'quoted' })).status, 428);
+    assert.equal((await owner.patch(`/api/inquiries/${created.body.id}`, { status: 'quoted' }, { headers: { 'If-Match': etag } })).status, 200);
+    assert.equal((await owner.patch(`/api/inquiries/${created.body.id}`, { status: 'booked' }, { headers: { 'If-Match': etag } })).status, 409);
+});
+
+test('concurrent creates all land and leave no temp files behind', async () => {
+    const results = await Promise.all(['One', 'Two', 'Three', 'Four', 'Five'].map(name => createSpeaker({ name })));
+    const ids = results.map(res => res.body.id);
+    assert.equal(new Set(ids).size, ids.length);
+
+    const speakers = await owner.get('/api/speakers?limit=100');
+    for (const id of ids) assert.ok(speakers.body.items.some(s => s.id === id));
+
+    const files = await fs.readdir(path.join(server.dir, 'data'));
+    assert.deepEqual(files.filter(name => name.endsWith('.tmp')), []);
+});
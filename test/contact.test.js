@@ -0,0 +1,107 @@
+// Contact form and inquiries inbox: public submissions land in the authenticated inbox
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+const inquiry = (fields = {}) => ({
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    topic: 'Leadership offsite',
+    details: '80 people, March, mid-range budget',
+    ...fields
+});
+
+test('a valid inquiry is stored as new and shows up in the inbox', async () => {
+    const visitor = server.client();
+    const created = await visitor.post('/api/contact', inquiry({ language: 'fr' }));
+    assert.equal(created.status, 201);
+    assert.ok(created.body.id);
+
+    const stored = await owner.get(`/api/inquiries/${created.body.id}`);
+    assert.equal(stored.status, 200);
+    assert.equal(stored.body.status, 'new');
+    assert.equal(stored.body.language, 'fr');
+    assert.equal(stored.body.assignedTo, null);
+    assert.deepEqual(stored.body.notes, []);
+});
+
+test('the inbox is only readable when signed in', async () => {
+    const visitor = server.client();
+    assert.equal((await visitor.get('/api/inquiries')).status, 401);
+    assert.equal((await visitor.get('/api/inquiries/1')).status, 401);
+});
+
+test('incomplete, malformed and oversized inquiries are refused', async () => {
+    const visitor = server.client();
+    assert.equal((await visitor.post('/api/contact', inquiry({ details: '  ' }))).status, 400);
+    assert.equal((await visitor.post('/api/contact', inquiry({ email: 'not-an-email' }))).status, 400);
+    assert.equal((await visitor.post('/api/contact', inquiry({ name: ['Jane'] }))).status, 400);
+    assert.equal((await visitor.post('/api/contact', inquiry({ language: 'de' }))).status, 400);
+    assert.equal((await visitor.post('/api/contact', inquiry({ details: 'x'.repeat(5001) }))).status, 400);
+    assert.equal((await visitor.post('/api/contact', inquiry({ speakerId: 999 }))).status, 400);
+});
+
+test('an inquiry can name a speaker that exists', async () => {
+    const speaker = await owner.post('/api/speakers', { name: 'Ada Lovelace', status: 'published' });
+    const created = await server.client().post('/api/contact', inquiry({ speakerId: speaker.body.id }));
+    assert.equal(created.status, 201);
+
+    const listed = await owner.get(`/api/inquiries?speakerId=${speaker.body.id}`);
+    assert.deepEqual(listed.body.map(i => i.id), [created.body.id]);
+});
+
+test('a filled-in honeypot is answered like a success but never stored', async () => {
+    const existing = await owner.get('/api/inquiries');
+    const res = await server.client().post('/api/contact', inquiry({ website: 'http://spam.example' }));
+    assert.equal(res.status, 201);
+
+    const afterwards = await owner.get('/api/inquiries');
+    assert.equal(afterwards.body.length, existing.body.length);
+});
+
+test('status changes are validated and recorded in the history', async () => {
+    const created = await server.client().post('/api/contact', inquiry({ name: 'Status Test' }));
+    const id = created.body.id;
+
+    assert.equal((await owner.patch(`/api/inquiries/${id}`, { status: 'lost' })).status, 400);
+    assert.equal((await owner.patch(`/api/inquiries/${id}`, { assignedTo: 'nobody' })).status, 400);
+
+    const loaded = await owner.get(`/api/inquiries/${id}`);
+    const updated = await owner.patch(`/api/inquiries/${id}`, { status: 'contacted', assignedTo: 'admin' },
+        { headers: { 'If-Match': loaded.headers.get('etag') } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.assignedTo, 'admin');
+    assert.deepEqual(updated.body.history.map(h => h.status), ['new', 'contacted']);
+    assert.equal(updated.body.history[1].by, 'admin');
+
+    const filtered = await owner.get('/api/inquiries?status=contacted&assignedTo=admin');
+    assert.ok(filtered.body.some(i => i.id === id));
+    assert.ok(filtered.body.every(i => i.status === 'contacted'));
+});
+
+test('an unknown status filter is refused instead of returning an empty inbox', async () => {
+    const res = await owner.get('/api/inquiries?status=archived');
+    assert.equal(res.status, 400);
+});
+
+test('internal notes are appended with their author', async () => {
+    const created = await server.client().post('/api/contact', inquiry({ name: 'Notes Test' }));
+    const id = created.body.id;
+
+    assert.equal((await owner.post(`/api/inquiries/${id}/notes`, { text: ' ' })).status, 400);
+    const noted = await owner.post(`/api/inquiries/${id}/notes`, { text: 'Called back, waiting on dates' });
+    assert.equal(noted.status, 201);
+    assert.equal(noted.body.notes.length, 1);
+    assert.equal(noted.body.notes[0].author, 'admin');
+});
@@ -0,0 +1,134 @@
+// test/helpers/server.js – runs server.js in a throwaway working directory for the endpoint tests
+//
+// Each server gets its own ./data, ./uploads and mail folder (MAIL_TRANSPORT=file) in a temp
+// directory, and starts with only the seeded owner account (admin, OWNER_PASSWORD once loginAsOwner()
+// has run). `env` adds environment variables (e.g. STORAGE_DRIVER).
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+const SEED_PASSWORD = 'changeme123';
+const OWNER_PASSWORD = 'owner-password-1';
+const START_TIMEOUT_MS = 20000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+async function startServer({ env = {} } = {}) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'facettes-test-'));
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: dir,
+        env: {
+            ...process.env,
+            ADMIN_PASSWORD: SEED_PASSWORD,
+            MAIL_TRANSPORT: 'file',
+            MAIL_DIR: path.join(dir, 'mail'),
+            ...env,
+            PORT: String(port)
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let log = '';
+    child.stderr.on('data', chunk => { log += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${log}`)), START_TIMEOUT_MS);
+        child.stdout.on('data', chunk => {
+            log += chunk;
+            if (log.includes('Server ready')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${log}`));
+        });
+    });
+
+    return {
+        url: `http://localhost:${port}`,
+        dir,
+        client() {
+            return createClient(`http://localhost:${port}`);
+        },
+        // Messages written by the file mail transport, oldest first
+        async mail() {
+            const mailDir = path.join(dir, 'mail');
+            const names = (await fs.readdir(mailDir).catch(() => [])).sort();
+            return Promise.all(names.map(async name => JSON.parse(await fs.readFile(path.join(mailDir, name), 'utf8'))));
+        },
+        async stop() {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+// fetch with a cookie jar, so a client keeps its session across requests
+function createClient(base) {
+    let cookie = '';
+
+    // FormData bodies go out as multipart, strings as-is (set a Content-Type), anything else as JSON
+    async function request(method, url, { body, headers = {} } = {}) {
+        const json = body !== undefined && typeof body !== 'string' && !(body instanceof FormData);
+        const res = await fetch(base + url, {
+            method,
+            headers: {
+                ...(json ? { 'Content-Type': 'application/json' } : {}),
+                ...(cookie ? { Cookie: cookie } : {}),
+                ...headers
+            },
+            body: json ? JSON.stringify(body) : body,
+            redirect: 'manual'
+        });
+        const setCookie = res.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        const text = await res.text();
+        let data = text;
+        try { data = JSON.parse(text); } catch { /* not JSON */ }
+        return { status: res.status, headers: res.headers, body: data };
+    }
+
+    return {
+        request,
+        get: (url, options) => request('GET', url, options),
+        post: (url, body, options) => request('POST', url, { ...options, body }),
+        put: (url, body, options) => request('PUT', url, { ...options, body }),
+        patch: (url, body, options) => request('PATCH', url, { ...options, body }),
+        delete: (url, options) => request('DELETE', url, options),
+
+        async login(username, password) {
+            const res = await request('POST', '/api/auth/login', { body: { username, password } });
+            if (res.status !== 200) throw new Error(`Login as ${username} failed: ${res.status} ${JSON.stringify(res.body)}`);
+            return res;
+        },
+
+        // Logs in as the seeded owner and picks the password it has to change at first login
+        async loginAsOwner() {
+            await this.login('admin', SEED_PASSWORD);
+            const res = await request('POST', '/api/auth/change-password', {
+                body: { currentPassword: SEED_PASSWORD, newPassword: OWNER_PASSWORD }
+            });
+            if (res.status !== 200) throw new Error(`Changing the seeded password failed: ${res.status}`);
+        }
+    };
+}
+
+module.exports = { startServer, OWNER_PASSWORD };
@@ -0,0 +1,93 @@
+// Locale registry: fallback chains for content and speakers, per-locale content saves and coverage
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+let visitor;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+    visitor = server.client();
+});
+
+after(() => server && server.stop());
+
+async function saveContent(body) {
+    const current = await owner.get('/api/content');
+    const res = await owner.put('/api/content', body, { headers: { 'If-Match': current.headers.get('etag') } });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res;
+}
+
+test('empty French values fall back to English and say so', async () => {
+    await saveContent({ en: { heroTitle: 'Find a speaker', footerCopyright: '© Facettes' }, fr: { heroTitle: 'Trouver un conférencier', footerCopyright: '' } });
+
+    const fr = await visitor.get('/api/content?lang=fr');
+    assert.equal(fr.headers.get('content-language'), 'fr');
+    assert.deepEqual(fr.body.chain, ['fr', 'en']);
+    assert.equal(fr.body.content.heroTitle, 'Trouver un conférencier');
+    assert.equal(fr.body.content.footerCopyright, '© Facettes');
+    assert.equal(fr.body.fallbacks.footerCopyright, 'en');
+
+    assert.equal((await visitor.get('/api/content?lang=xx')).status, 400);
+});
+
+test('a content save only replaces the keys it sends', async () => {
+    await saveContent({ en: { heroTitle: 'Title A', ctaTitle: 'CTA A' }, fr: { heroTitle: 'Titre A' } });
+    await saveContent({ en: { ctaTitle: 'CTA B' } });
+
+    const content = await owner.get('/api/content');
+    assert.equal(content.body.en.heroTitle, 'Title A');
+    assert.equal(content.body.en.ctaTitle, 'CTA B');
+    assert.equal(content.body.fr.heroTitle, 'Titre A');
+});
+
+test('a registered locale follows exactly its configured fallback chain', async () => {
+    const created = await owner.post('/api/locales', { code: 'es', name: 'Español', fallback: ['fr'] });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    await saveContent({ en: { navAbout: 'About' }, fr: { navAbout: '' }, es: { navSpeakers: 'Conferenciantes' } });
+
+    const es = await visitor.get('/api/content?lang=es');
+    assert.deepEqual(es.body.chain, ['es', 'fr']);
+    assert.equal(es.body.content.navSpeakers, 'Conferenciantes');
+    // English is not in the chain, so its value is not borrowed
+    assert.equal(es.body.content.navAbout, '');
+
+    const updated = await owner.put('/api/locales/es', { fallback: ['fr', 'en'] });
+    assert.equal(updated.status, 200);
+    assert.equal((await visitor.get('/api/content?lang=es')).body.content.navAbout, 'About');
+
+    const locales = await visitor.get('/api/locales');
+    assert.ok(locales.body.locales.some(l => l.code === 'es'));
+});
+
+test('locale registrations are validated', async () => {
+    assert.equal((await owner.post('/api/locales', { code: 'english', name: 'English' })).status, 400);
+    assert.equal((await owner.post('/api/locales', { code: 'en', name: 'English' })).status, 400);
+    assert.equal((await owner.post('/api/locales', { code: 'de', name: 'Deutsch', fallback: ['xx'] })).status, 400);
+    assert.equal((await owner.put('/api/locales/de', { name: 'Deutsch' })).status, 404);
+});
+
+test('speakers resolve per locale with the fields that fell back', async () => {
+    const created = await owner.post('/api/speakers', { name: 'Ada Lovelace', title: 'Mathematician', title_fr: '', status: 'published' });
+    const fr = await visitor.get(`/api/speakers/${created.body.id}?lang=fr`);
+    assert.equal(fr.status, 200);
+    assert.equal(fr.body.title, 'Mathematician');
+    assert.equal(fr.body.fallbacks.title, 'en');
+    assert.equal(fr.body.title_fr, undefined);
+});
+
+test('the coverage report lists empty keys and untranslated speaker fields', async () => {
+    const report = await owner.get('/api/locales/coverage?locale=fr');
+    assert.equal(report.status, 200);
+    const [fr] = report.body;
+    assert.ok(fr.content.empty.includes('footerCopyright'));
+    const ada = fr.speakers.untranslated.find(s => s.name === 'Ada Lovelace');
+    assert.ok(ada.fields.includes('title_fr'));
+
+    assert.equal((await visitor.get('/api/locales/coverage')).status, 401);
+});
@@ -0,0 +1,119 @@
+// Login throttling, session hardening and the security audit log
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, OWNER_PASSWORD } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+const attempt = (client, username, password) => client.post('/api/auth/login', { username, password });
+
+async function auditFor(user, action) {
+    const res = await owner.get(`/api/audit?user=${encodeURIComponent(user)}&action=${action}`);
+    assert.equal(res.status, 200);
+    return res.body.items;
+}
+
+test('a successful login gets a fresh session id and records lastLogin', async () => {
+    await owner.post('/api/users', { username: 'sam', password: 'password-123', role: 'viewer' });
+    const client = server.client();
+    const sessionCookie = res => res.headers.get('set-cookie').split(';')[0];
+    const first = await attempt(client, 'sam', 'password-123');
+    const second = await attempt(client, 'sam', 'password-123');
+    assert.equal(second.status, 200);
+    assert.notEqual(sessionCookie(second), sessionCookie(first));
+
+    // The session the second login replaced is gone
+    const old = await fetch(`${server.url}/api/auth/check`, { headers: { Cookie: sessionCookie(first) } });
+    assert.equal((await old.json()).authenticated, false);
+
+    const users = await owner.get('/api/users');
+    assert.ok(users.body.find(u => u.username === 'sam').lastLogin);
+    assert.equal((await auditFor('sam', 'login.success')).length, 2);
+});
+
+test('repeated failures lock the username out, even with the right password, and the lockout is audited once', async () => {
+    await owner.post('/api/users', { username: 'lou', password: 'password-123', role: 'viewer' });
+    const client = server.client();
+    for (let i = 0; i < 5; i++) {
+        assert.equal((await attempt(client, 'lou', 'wrong-password')).status, 401);
+    }
+
+    const locked = await attempt(client, 'lou', 'password-123');
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+    await attempt(client, 'LOU', 'password-123');
+    await attempt(client, 'lou', 'password-123');
+
+    assert.equal((await auditFor('lou', 'login.failure')).length, 5);
+    assert.equal((await auditFor('lou', 'login.locked')).length, 1);
+});
+
+test('unknown usernames fail like wrong passwords and still pay for a hash comparison', async () => {
+    await owner.post('/api/users', { username: 'kim', password: 'password-123', role: 'viewer' });
+    const client = server.client();
+    const timed = async username => {
+        const started = process.hrtime.bigint();
+        const res = await attempt(client, username, 'wrong-password');
+        assert.equal(res.status, 401);
+        assert.equal(res.body.error, 'Invalid credentials');
+        return Number(process.hrtime.bigint() - started) / 1e6;
+    };
+    const known = Math.min(await timed('kim'), await timed('kim'));
+    const unknown = Math.min(await timed('nobody-1'), await timed('nobody-2'));
+    assert.ok(unknown > known / 2, `unknown ${unknown}ms vs known ${known}ms`);
+
+    const [failure] = await auditFor('nobody-1', 'login.failure');
+    assert.equal(failure.details.reason, 'unknown_user');
+});
+
+test('the audit log filters by action prefix and date and needs users:manage', async () => {
+    const all = await owner.get('/api/audit?action=login');
+    assert.ok(all.body.items.every(e => e.action.startsWith('login.')));
+    assert.equal((await owner.get('/api/audit?from=2999-01-01')).body.total, 0);
+    assert.equal((await owner.get('/api/audit?from=yesterday')).status, 400);
+
+    const viewer = server.client();
+    await viewer.login('sam', 'password-123');
+    assert.equal((await viewer.get('/api/audit')).status, 403);
+});
+
+test('failures across many usernames lock out the IP', async () => {
+    const isolated = await startServer();
+    try {
+        const client = isolated.client();
+        for (let i = 0; i < 20; i++) {
+            assert.equal((await attempt(client, `guess-${i % 4}-${i}`, 'wrong-password')).status, 401);
+        }
+        assert.equal((await attempt(client, 'admin', OWNER_PASSWORD)).status, 429);
+    } finally {
+        await isolated.stop();
+    }
+});
+
+test('the contact form accepts a limited number of inquiries per IP', async () => {
+    const isolated = await startServer();
+    try {
+        const visitor = isolated.client();
+        const inquiry = { name: 'Jane Doe', email: 'jane@example.com', topic: 'Offsite', details: 'Spring' };
+        for (let i = 0; i < 9; i++) {
+            assert.equal((await visitor.post('/api/contact', inquiry)).status, 201);
+        }
+        // Honeypot hits count too
+        assert.equal((await visitor.post('/api/contact', { ...inquiry, website: 'x' })).status, 201);
+
+        const refused = await visitor.post('/api/contact', inquiry);
+        assert.equal(refused.status, 429);
+        assert.ok(refused.headers.get('retry-after'));
+    } finally {
+        await isolated.stop();
+    }
+});
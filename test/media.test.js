@@ -0,0 +1,118 @@
+// Media library: usage tracking, alt text, the in-use delete guard and the orphan purge
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const sharp = require('sharp');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+const version = item => ({ headers: { 'If-Match': item.etag } });
+
+async function upload(name = 'portrait.jpg') {
+    const jpeg = await sharp({ create: { width: 800, height: 400, channels: 3, background: '#884422' } }).jpeg().toBuffer();
+    const form = new FormData();
+    form.append('image', new Blob([jpeg], { type: 'image/jpeg' }), name);
+    const res = await owner.post('/api/upload', form);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body;
+}
+
+async function mediaItem(id) {
+    const res = await owner.get(`/api/media/${id}`);
+    assert.equal(res.status, 200);
+    return res.body;
+}
+
+test('the library lists each upload once with its size and where it is used', async () => {
+    const portrait = await upload('ada.jpg');
+    const banner = await upload('banner.jpg');
+    const speaker = await owner.post('/api/speakers', { name: 'Ada Lovelace', image: portrait.url, status: 'published' });
+    const content = await owner.get('/api/content');
+    const saved = await owner.put('/api/content', { en: { service_1_description: `See ${banner.url}` } }, { headers: { 'If-Match': content.headers.get('etag') } });
+    assert.equal(saved.status, 200);
+
+    const item = await mediaItem(portrait.id);
+    assert.equal(item.originalName, 'ada.jpg');
+    assert.deepEqual([item.width, item.height], [800, 400]);
+    assert.ok(item.files.length > 1, 'every variant belongs to the one item');
+    assert.equal(item.inUse, true);
+    assert.deepEqual(item.usage.map(u => [u.type, u.id, u.field]), [['speaker', speaker.body.id, 'image']]);
+
+    const bannerItem = await mediaItem(banner.id);
+    assert.deepEqual(bannerItem.usage, [{ type: 'content', locale: 'en', key: 'service_1_description' }]);
+
+    const unused = await owner.get('/api/media?unused=true');
+    assert.ok(!unused.body.some(m => m.id === portrait.id || m.id === banner.id));
+    assert.equal((await server.client().get('/api/media')).status, 401);
+});
+
+test('alt text is stored per locale and used on the profile page', async () => {
+    const portrait = await upload('grace.jpg');
+    const speaker = await owner.post('/api/speakers', { name: 'Grace Hopper', image: portrait.url, status: 'published' });
+    const item = await mediaItem(portrait.id);
+
+    assert.equal((await owner.put(`/api/media/${item.id}`, { alt: { en: 'Grace at her desk' } })).status, 428);
+    const updated = await owner.put(`/api/media/${item.id}`, { alt: { en: 'Grace at her desk', fr: 'Grace à son bureau' } }, version(item));
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.alt, { en: 'Grace at her desk', fr: 'Grace à son bureau' });
+    assert.equal((await owner.put(`/api/media/${item.id}`, { alt: { en: 'x'.repeat(301) } }, version(updated.body))).status, 400);
+
+    const page = await server.client().get(`/fr/speakers/${speaker.body.slug}`);
+    assert.match(page.body, /alt="Grace à son bureau"/);
+});
+
+test('a file in use cannot be deleted until nothing references it', async () => {
+    const portrait = await upload('marie.jpg');
+    const speaker = await owner.post('/api/speakers', { name: 'Marie Curie', image: portrait.url });
+    const item = await mediaItem(portrait.id);
+
+    const refused = await owner.delete(`/api/media/${item.id}`, version(item));
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.usage[0].id, speaker.body.id);
+
+    // A speaker in the trash still holds on to its image
+    await owner.delete(`/api/speakers/${speaker.body.id}`, { headers: { 'If-Match': speaker.headers.get('etag') } });
+    assert.equal((await owner.delete(`/api/media/${item.id}`, version(item))).status, 409);
+    assert.equal((await owner.delete(`/api/trash/${speaker.body.id}`)).status, 200);
+
+    assert.equal((await owner.delete(`/api/media/${item.id}`, version(item))).status, 200);
+    assert.equal((await owner.get(`/api/media/${item.id}`)).status, 404);
+    assert.equal((await fetch(server.url + portrait.url)).status, 404);
+});
+
+test('the purge removes unused files past the grace period and nothing else', async () => {
+    const recent = await upload('recent.jpg');
+    // An older upload from before the library: a single file with no record, two days old
+    const legacy = path.join(server.dir, 'uploads', 'legacy-photo.png');
+    await sharp({ create: { width: 120, height: 90, channels: 3, background: '#000' } }).png().toFile(legacy);
+    const twoDaysAgo = new Date(Date.now() - 48 * 60 * 60 * 1000);
+    await fs.utimes(legacy, twoDaysAgo, twoDaysAgo);
+
+    const orphans = await owner.get('/api/media/orphans');
+    const byId = Object.fromEntries(orphans.body.items.map(item => [item.id, item]));
+    assert.equal(byId['legacy-photo.png'].purgeable, true);
+    assert.deepEqual([byId['legacy-photo.png'].width, byId['legacy-photo.png'].height], [120, 90]);
+    assert.equal(byId[recent.id].purgeable, false);
+    assert.equal(orphans.body.graceHours, 24);
+
+    const early = await owner.post('/api/media/orphans/purge', { ids: [recent.id] });
+    assert.equal(early.status, 400);
+    assert.ok(early.body.fields.ids);
+
+    const purged = await owner.post('/api/media/orphans/purge', {});
+    assert.equal(purged.status, 200);
+    assert.deepEqual(purged.body.deleted, ['legacy-photo.png']);
+    await assert.rejects(fs.access(legacy));
+    assert.equal((await owner.get(`/api/media/${recent.id}`)).status, 200);
+});
@@ -0,0 +1,66 @@
+// Speaker one-sheet and proposal PDFs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+let ada;
+let grace;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+    for (const en of ['Math', 'Poetry']) await owner.post('/api/topics', { labels: { en } });
+    ada = (await owner.post('/api/speakers', {
+        name: 'Ada Lovelace', title: 'Mathematician', bio: 'First paragraph.\n\nSecond paragraph 🚀.',
+        keyTopics: ['Computing'], topics: ['Math', 'Poetry'], status: 'published'
+    })).body;
+    grace = (await owner.post('/api/speakers', { name: 'Grace Hopper', title: 'Rear admiral' })).body;
+});
+
+after(() => server && server.stop());
+
+// Page objects in the PDF (the page tree itself is "/Type /Pages")
+const pageCount = pdf => (pdf.match(/\/Type \/Page\b(?!s)/g) || []).length;
+
+test('a one-sheet is a PDF download named after the speaker', async () => {
+    const res = await owner.get(`/api/speakers/${ada.id}/onesheet.pdf?lang=fr`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+    assert.equal(res.headers.get('content-disposition'), `attachment; filename="${ada.slug}-fr.pdf"`);
+    assert.ok(res.body.startsWith('%PDF-'));
+    assert.equal(pageCount(res.body), 1);
+    // Published speakers link to their profile page in the sheet's language
+    assert.match(res.body, new RegExp(`/URI \\(http://localhost:\\d+/fr/speakers/${ada.slug}\\)`));
+});
+
+test('drafts get a sheet too, for pitching before they go live', async () => {
+    const res = await owner.get(`/api/speakers/${grace.id}/onesheet.pdf`);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-disposition'), `attachment; filename="${grace.slug}-en.pdf"`);
+    assert.doesNotMatch(res.body, /\/URI/);
+});
+
+test('one-sheets check the language, the speaker and the session', async () => {
+    assert.equal((await owner.get(`/api/speakers/${ada.id}/onesheet.pdf?lang=de`)).status, 400);
+    assert.equal((await owner.get('/api/speakers/999/onesheet.pdf')).status, 404);
+    assert.equal((await server.client().get(`/api/speakers/${ada.id}/onesheet.pdf`)).status, 401);
+});
+
+test('a proposal has a cover page and one sheet per speaker', async () => {
+    const res = await owner.get(`/api/proposal.pdf?ids=${grace.id},${ada.id},${grace.id}&client=Acme%20Corp`);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="proposal-\d{4}-\d{2}-\d{2}-en\.pdf"/);
+    assert.equal(pageCount(res.body), 3);
+});
+
+test('proposal ids are validated', async () => {
+    const cases = ['', 'ids=abc', `ids=${ada.id},999`, `ids=${ada.id}&lang=de`, `ids=${Array.from({ length: 26 }, (_, i) => i + 1).join(',')}`];
+    for (const query of cases) {
+        const res = await owner.get(`/api/proposal.pdf?${query}`);
+        assert.equal(res.status, 400, query);
+    }
+    assert.equal((await server.client().get(`/api/proposal.pdf?ids=${ada.id}`)).status, 401);
+});
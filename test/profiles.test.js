@@ -0,0 +1,88 @@
+// Server-rendered speaker profiles, sitemap.xml and robots.txt
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+let visitor;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+    await owner.post('/api/topics', { labels: { en: 'Computing' } });
+    visitor = server.client();
+});
+
+after(() => server && server.stop());
+
+async function createSpeaker(fields) {
+    const res = await owner.post('/api/speakers', { status: 'published', ...fields });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+}
+
+test('new speakers get a unique slug from their name', async () => {
+    const first = await createSpeaker({ name: 'Hélène Côté' });
+    const second = await createSpeaker({ name: 'Helene Cote' });
+    assert.equal(first.slug, 'helene-cote');
+    assert.equal(second.slug, 'helene-cote-2');
+});
+
+test('a profile page is rendered per language with SEO metadata', async () => {
+    const speaker = await createSpeaker({
+        name: 'Ada Lovelace',
+        title: 'Mathematician',
+        title_fr: 'Mathématicienne',
+        bio: 'Wrote the first published algorithm.\n\nWorked with Charles Babbage.',
+        bio_fr: 'A écrit le premier algorithme publié.',
+        topics: ['Computing']
+    });
+
+    const en = await visitor.get(`/speakers/${speaker.slug}`);
+    assert.equal(en.status, 200);
+    assert.match(en.headers.get('content-type'), /html/);
+    assert.match(en.body, /<title>Ada Lovelace – Mathematician \| Facettes<\/title>/);
+    assert.match(en.body, /<meta name="description" content="Wrote the first published algorithm\. Worked with Charles Babbage\.">/);
+    assert.match(en.body, new RegExp(`hreflang="fr" href="[^"]*/fr/speakers/${speaker.slug}"`));
+    assert.match(en.body, /<meta property="og:locale" content="en_CA">/);
+    assert.match(en.body, /<meta property="og:locale:alternate" content="fr_CA">/);
+
+    const jsonLd = JSON.parse(/<script type="application\/ld\+json">(.*?)<\/script>/s.exec(en.body)[1]);
+    assert.equal(jsonLd['@type'], 'Person');
+    assert.deepEqual(jsonLd.knowsAbout, ['Computing']);
+
+    const fr = await visitor.get(`/fr/speakers/${speaker.slug}`);
+    assert.equal(fr.status, 200);
+    assert.match(fr.body, /<html lang="fr">/);
+    assert.match(fr.body, /Mathématicienne/);
+    assert.match(fr.body, /Réserver ce conférencier/);
+});
+
+test('unknown slugs and languages are not found, mixed case redirects', async () => {
+    const speaker = await createSpeaker({ name: 'Grace Hopper' });
+    const missing = await visitor.get('/speakers/nobody-here');
+    assert.equal(missing.status, 404);
+    assert.match(missing.body, /noindex/);
+    assert.equal((await visitor.get(`/de/speakers/${speaker.slug}`)).status, 404);
+    assert.equal((await visitor.get(`/en/speakers/${speaker.slug}`)).status, 404);
+
+    const redirected = await visitor.get('/speakers/Grace-Hopper');
+    assert.equal(redirected.status, 301);
+    assert.equal(redirected.headers.get('location'), `/speakers/${speaker.slug}`);
+});
+
+test('sitemap.xml lists every profile in every language and robots.txt points to it', async () => {
+    const speaker = await createSpeaker({ name: 'Katherine Johnson' });
+    const sitemap = await visitor.get('/sitemap.xml');
+    assert.equal(sitemap.status, 200);
+    assert.match(sitemap.headers.get('content-type'), /xml/);
+    assert.match(sitemap.body, new RegExp(`<loc>[^<]*/speakers/${speaker.slug}</loc>`));
+    assert.match(sitemap.body, new RegExp(`<loc>[^<]*/fr/speakers/${speaker.slug}</loc>`));
+    assert.match(sitemap.body, /<lastmod>\d{4}-\d{2}-\d{2}<\/lastmod>/);
+
+    const robots = await visitor.get('/robots.txt');
+    assert.match(robots.body, /Disallow: \/admin/);
+    assert.match(robots.body, /Sitemap: http:\/\/localhost:\d+\/sitemap\.xml/);
+});
@@ -0,0 +1,120 @@
+// Draft, scheduled, published and archived speakers, and expiring preview links
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+let visitor;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    visitor = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+const version = res => ({ headers: { 'If-Match': res.headers.get('etag') } });
+const hoursFromNow = hours => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+const pathOf = url => { const { pathname, search } = new URL(url); return pathname + search; };
+
+async function publicNames() {
+    return (await visitor.get('/api/speakers?limit=100')).body.items.map(s => s.name);
+}
+
+test('new speakers start as drafts and stay off the public site', async () => {
+    const draft = await owner.post('/api/speakers', { name: 'Draft Dana' });
+    assert.equal(draft.status, 201);
+    assert.equal(draft.body.status, 'draft');
+
+    assert.ok(!(await publicNames()).includes('Draft Dana'));
+    assert.equal((await visitor.get(`/api/speakers/${draft.body.id}`)).status, 404);
+    assert.equal((await visitor.get(`/speakers/${draft.body.slug}`)).status, 404);
+    assert.doesNotMatch((await visitor.get('/sitemap.xml')).body, new RegExp(draft.body.slug));
+    assert.equal((await visitor.post('/api/contact', { name: 'V', email: 'v@example.com', topic: 'Hi', speakerId: draft.body.id })).status, 400);
+
+    const admin = await owner.get(`/api/admin/speakers/${draft.body.id}`);
+    assert.equal(admin.status, 200);
+    assert.ok(admin.headers.get('etag'));
+
+    const published = await owner.put(`/api/speakers/${draft.body.id}`, { status: 'published' }, version(admin));
+    assert.equal(published.status, 200);
+    assert.ok((await publicNames()).includes('Draft Dana'));
+    assert.equal((await visitor.get(`/speakers/${draft.body.slug}`)).status, 200);
+});
+
+test('publishAt and unpublishAt decide when a published speaker is live', async () => {
+    const scheduled = await owner.post('/api/speakers', { name: 'Future Fran', status: 'scheduled', publishAt: hoursFromNow(48) });
+    const expired = await owner.post('/api/speakers', { name: 'Past Pat', status: 'published', publishAt: hoursFromNow(-48), unpublishAt: hoursFromNow(-1) });
+    const live = await owner.post('/api/speakers', { name: 'Now Noor', status: 'scheduled', publishAt: hoursFromNow(-1) });
+    await owner.post('/api/speakers', { name: 'Old Olive', status: 'archived' });
+    [scheduled, expired, live].forEach(res => assert.equal(res.status, 201));
+
+    const names = await publicNames();
+    assert.ok(names.includes('Now Noor'));
+    assert.ok(!names.includes('Future Fran'));
+    assert.ok(!names.includes('Past Pat'));
+    assert.ok(!names.includes('Old Olive'));
+
+    const list = await owner.get('/api/admin/speakers?limit=100');
+    const visibility = Object.fromEntries(list.body.items.map(s => [s.name, s.visibility]));
+    assert.equal(visibility['Future Fran'], 'scheduled');
+    assert.equal(visibility['Past Pat'], 'expired');
+    assert.equal(visibility['Now Noor'], 'live');
+    assert.equal(visibility['Old Olive'], 'archived');
+    assert.ok(list.body.facets.visibility.archived >= 1);
+
+    const archivedOnly = await owner.get('/api/admin/speakers?status=archived');
+    assert.deepEqual(archivedOnly.body.items.map(s => s.name), ['Old Olive']);
+    assert.equal((await owner.get('/api/admin/speakers?status=hidden')).status, 400);
+    assert.equal((await visitor.get('/api/admin/speakers')).status, 401);
+});
+
+test('publishing fields are validated', async () => {
+    const noDate = await owner.post('/api/speakers', { name: 'No Date', status: 'scheduled' });
+    assert.equal(noDate.status, 400);
+    assert.ok(noDate.body.fields.publishAt);
+
+    const backwards = await owner.post('/api/speakers', { name: 'Backwards', publishAt: hoursFromNow(2), unpublishAt: hoursFromNow(1) });
+    assert.ok(backwards.body.fields.unpublishAt);
+    assert.ok((await owner.post('/api/speakers', { name: 'Bad', status: 'hidden' })).body.fields.status);
+    assert.ok((await owner.post('/api/speakers', { name: 'Bad', publishAt: 'next week' })).body.fields.publishAt);
+});
+
+test('preview links open unpublished profiles in every locale until revoked', async () => {
+    const draft = await owner.post('/api/speakers', { name: 'Preview Paz' });
+    const link = await owner.post(`/api/speakers/${draft.body.id}/preview`, { hours: 2 });
+    assert.equal(link.status, 201);
+    assert.deepEqual(Object.keys(link.body.urls), ['en', 'fr']);
+
+    for (const url of Object.values(link.body.urls)) {
+        const page = await visitor.get(pathOf(url));
+        assert.equal(page.status, 200);
+        assert.equal(page.headers.get('cache-control'), 'no-store');
+        assert.equal(page.headers.get('x-robots-tag'), 'noindex');
+        assert.match(page.body, /Preview Paz/);
+    }
+    const token = new URL(link.body.urls.en).searchParams.get('preview');
+    assert.equal((await visitor.get(`/speakers/${draft.body.slug}?preview=${'0'.repeat(token.length)}`)).status, 404);
+
+    // Only the hash is stored
+    const stored = await fs.readFile(path.join(server.dir, 'data', 'previews.json'), 'utf8');
+    assert.ok(!stored.includes(token));
+    assert.match(stored, /"tokenHash"/);
+
+    assert.equal((await owner.post(`/api/speakers/${draft.body.id}/preview`, { hours: 0 })).status, 400);
+    assert.equal((await owner.delete(`/api/speakers/${draft.body.id}/preview`)).status, 200);
+    assert.equal((await visitor.get(pathOf(link.body.urls.en))).status, 404);
+});
+
+test('preview links follow the registered locales', async () => {
+    assert.equal((await owner.post('/api/locales', { code: 'es', name: 'Español', fallback: ['en'] })).status, 201);
+    const draft = await owner.post('/api/speakers', { name: 'Multilingual Mo' });
+    const link = await owner.post(`/api/speakers/${draft.body.id}/preview`, {});
+    assert.deepEqual(Object.keys(link.body.urls), ['en', 'fr', 'es']);
+    assert.equal((await visitor.get(pathOf(link.body.urls.es))).status, 200);
+});
@@ -0,0 +1,95 @@
+// Revision history, rollback and the speaker trash
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+const version = res => ({ headers: { 'If-Match': res.headers.get('etag') } });
+
+test('speaker writes are recorded with author and field diff, newest first', async () => {
+    const created = await owner.post('/api/speakers', { name: 'Ada Lovelace', title: 'Mathematician' });
+    const id = created.body.id;
+    await owner.put(`/api/speakers/${id}`, { title: 'Analyst' }, version(created));
+
+    const list = await owner.get(`/api/speakers/${id}/revisions`);
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.map(r => r.action), ['update', 'create']);
+    assert.equal(list.body[0].author, 'admin');
+    assert.deepEqual(list.body[0].fields, ['title']);
+
+    const full = await owner.get(`/api/revisions/${list.body[0].id}`);
+    assert.deepEqual(full.body.diff, [{ field: 'title', from: 'Mathematician', to: 'Analyst' }]);
+    assert.equal(full.body.snapshot.title, 'Analyst');
+});
+
+test('restoring a speaker revision needs the current ETag', async () => {
+    const created = await owner.post('/api/speakers', { name: 'Grace Hopper', title: 'Programmer' });
+    const id = created.body.id;
+    const updated = await owner.put(`/api/speakers/${id}`, { title: 'Rear admiral' }, version(created));
+    const [, original] = (await owner.get(`/api/speakers/${id}/revisions`)).body;
+
+    assert.equal((await owner.post(`/api/revisions/${original.id}/restore`, {})).status, 428);
+    assert.equal((await owner.post(`/api/revisions/${original.id}/restore`, {}, version(created))).status, 409);
+
+    const restored = await owner.post(`/api/revisions/${original.id}/restore`, {}, version(updated));
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.title, 'Programmer');
+    assert.ok(restored.headers.get('etag'));
+
+    const latest = (await owner.get(`/api/speakers/${id}/revisions`)).body[0];
+    assert.equal(latest.action, 'restore');
+});
+
+test('a deleted speaker goes to the trash and can be brought back', async () => {
+    const created = await owner.post('/api/speakers', { name: 'Katherine Johnson', status: 'published' });
+    const id = created.body.id;
+    assert.equal((await owner.delete(`/api/speakers/${id}`, version(created))).status, 200);
+    assert.equal((await owner.get(`/api/speakers/${id}`)).status, 404);
+
+    const trash = await owner.get('/api/trash');
+    assert.ok(trash.body.some(t => t.speaker.id === id));
+
+    // Revisions can't resurrect it behind the trash's back
+    const [, createRevision] = (await owner.get(`/api/speakers/${id}/revisions`)).body;
+    assert.equal((await owner.post(`/api/revisions/${createRevision.id}/restore`, {}, { headers: { 'If-Match': '*' } })).status, 409);
+
+    const back = await owner.post(`/api/trash/${id}/restore`, {});
+    assert.equal(back.status, 200);
+    assert.equal((await owner.get(`/api/speakers/${id}`)).body.name, 'Katherine Johnson');
+    assert.ok(!(await owner.get('/api/trash')).body.some(t => t.speaker.id === id));
+});
+
+test('purging the trash is permanent but keeps the history', async () => {
+    const created = await owner.post('/api/speakers', { name: 'Hedy Lamarr' });
+    const id = created.body.id;
+    await owner.delete(`/api/speakers/${id}`, version(created));
+
+    assert.equal((await owner.delete(`/api/trash/${id}`)).status, 200);
+    assert.equal((await owner.post(`/api/trash/${id}/restore`, {})).status, 404);
+    assert.equal((await owner.get(`/api/speakers/${id}/revisions`)).body[0].action, 'delete');
+});
+
+test('a single content key can be restored without touching the others', async () => {
+    const loaded = await owner.get('/api/content');
+    const first = await owner.put('/api/content', { en: { heroTitle: 'Old title', ctaTitle: 'Book now' }, fr: { heroTitle: 'Ancien titre' } }, version(loaded));
+    const second = await owner.put('/api/content', { en: { heroTitle: 'New title', ctaTitle: 'Get in touch' }, fr: { heroTitle: 'Nouveau titre' } }, version(first));
+
+    const history = await owner.get('/api/content/revisions?key=fr.heroTitle');
+    const older = history.body.find(r => r.fields.includes('fr.heroTitle') && r.id !== history.body[0].id);
+
+    const restored = await owner.post(`/api/revisions/${older.id}/restore`, { key: 'fr.heroTitle' }, version(second));
+    assert.equal(restored.status, 200);
+    assert.equal(restored.body.fr.heroTitle, 'Ancien titre');
+    assert.equal(restored.body.en.heroTitle, 'New title');
+    assert.equal(restored.body.en.ctaTitle, 'Get in touch');
+});
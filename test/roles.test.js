@@ -0,0 +1,84 @@
+// Roles: owners manage users, editors manage speakers and content, viewers only read
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+// If-Match for a user record, taken from the user list like the admin panel does
+async function userVersion(client, username) {
+    const users = await client.get('/api/users');
+    return { headers: { 'If-Match': users.body.find(u => u.username === username).etag } };
+}
+
+async function signedIn(username, role) {
+    const created = await owner.post('/api/users', { username, password: 'password-123', role });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const client = server.client();
+    await client.login(username, 'password-123');
+    // Accounts an owner creates start with a temporary password
+    const changed = await client.post('/api/auth/change-password', { currentPassword: 'password-123', newPassword: 'password-456' });
+    assert.equal(changed.status, 200);
+    return client;
+}
+
+test('the seeded admin is an owner and the auth check reports it', async () => {
+    const check = await owner.get('/api/auth/check');
+    assert.equal(check.body.role, 'owner');
+    assert.ok(check.body.permissions.includes('users:manage'));
+});
+
+test('admin routes need a session', async () => {
+    const anonymous = server.client();
+    assert.equal((await anonymous.get('/api/users')).status, 401);
+    assert.equal((await anonymous.post('/api/speakers', { name: 'Nobody' })).status, 401);
+});
+
+test('editors manage speakers and content but not users', async () => {
+    const editor = await signedIn('eddie', 'editor');
+    assert.equal((await editor.post('/api/speakers', { name: 'Ada Lovelace' })).status, 201);
+    const content = await editor.get('/api/content');
+    assert.equal((await editor.put('/api/content', { en: {}, fr: {} }, { headers: { 'If-Match': content.headers.get('etag') } })).status, 200);
+    assert.equal((await editor.post('/api/users', { username: 'sneaky', password: 'password-123' })).status, 403);
+    assert.equal((await editor.delete('/api/users/admin')).status, 403);
+});
+
+test('viewers can read the admin data but change nothing', async () => {
+    const viewer = await signedIn('vera', 'viewer');
+    assert.equal((await viewer.get('/api/users')).status, 200);
+    assert.equal((await viewer.get('/api/inquiries')).status, 200);
+    assert.equal((await viewer.post('/api/speakers', { name: 'Nobody' })).status, 403);
+    assert.equal((await viewer.put('/api/content', {})).status, 403);
+});
+
+test('a role change applies to sessions that are already signed in', async () => {
+    const promoted = await signedIn('paula', 'viewer');
+    assert.equal((await promoted.post('/api/speakers', { name: 'Grace Hopper' })).status, 403);
+
+    assert.equal((await owner.put('/api/users/paula/role', { role: 'editor' }, await userVersion(owner, 'paula'))).status, 200);
+    assert.equal((await promoted.post('/api/speakers', { name: 'Grace Hopper' })).status, 201);
+});
+
+test('user creation checks the role and that the credentials are text', async () => {
+    assert.equal((await owner.post('/api/users', { username: 'x1', password: 'password-123', role: 'root' })).status, 400);
+    assert.equal((await owner.post('/api/users', { username: 'x2', password: 123456789 })).status, 400);
+    assert.equal((await owner.post('/api/users', { username: ['x3'], password: 'password-123' })).status, 400);
+    assert.equal((await owner.post('/api/users', { username: 'x4', password: 'short' })).status, 400);
+});
+
+test('the last owner can be neither demoted nor deleted', async () => {
+    assert.equal((await owner.put('/api/users/admin/role', { role: 'editor' }, await userVersion(owner, 'admin'))).status, 400);
+
+    const second = await signedIn('olga', 'owner');
+    assert.equal((await second.delete('/api/users/admin', await userVersion(second, 'admin'))).status, 200);
+    assert.equal((await second.put('/api/users/olga/role', { role: 'viewer' }, await userVersion(second, 'olga'))).status, 400);
+});
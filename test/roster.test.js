@@ -0,0 +1,97 @@
+// Roster export and the dry-run/atomic bulk import
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+    for (const en of ['Trade', 'Policy', 'Health']) await owner.post('/api/topics', { labels: { en } });
+    await owner.post('/api/speakers', { name: 'Hélène Tremblay', title: 'Economist', topics: ['Trade'], status: 'published' });
+    await owner.post('/api/speakers', { name: 'Marc Gagnon', title: '=HYPERLINK("x")', status: 'published' });
+});
+
+after(() => server && server.stop());
+
+const csv = { headers: { 'Content-Type': 'text/csv' } };
+
+test('CSV export has a header row and formula-safe cells', async () => {
+    const res = await owner.get('/api/speakers/export');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="speakers-\d{4}-\d{2}-\d{2}\.csv"/);
+    // fetch drops the BOM when decoding
+    assert.ok(res.body.startsWith('id,slug,name,'));
+    assert.match(res.body, /Hélène Tremblay/);
+    assert.match(res.body, /"'=HYPERLINK\(""x""\)"/);
+
+    const json = await owner.get('/api/speakers/export?format=json');
+    assert.equal(json.body.length, 2);
+    assert.equal((await owner.get('/api/speakers/export?format=xml')).status, 400);
+    assert.equal((await server.client().get('/api/speakers/export')).status, 401);
+});
+
+test('a dry run reports per-row actions without writing anything', async () => {
+    // Names match regardless of accents and case; the escaped formula cell reads back as the stored title
+    const body = 'name,title,topics\r\nhelene tremblay,Chief economist,Trade | Policy\r\nNew Person,Author,\r\nMarc Gagnon,"=HYPERLINK(""x"")",\r\n';
+    const res = await owner.post('/api/speakers/import', body, csv);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dryRun, true);
+    assert.deepEqual(res.body.summary, { rows: 3, create: 1, update: 1, unchanged: 1, error: 0 });
+    assert.deepEqual(res.body.rows.map(r => r.action), ['update', 'create', 'unchanged']);
+    assert.ok(res.headers.get('etag'));
+
+    const speakers = await owner.get('/api/speakers?limit=100');
+    assert.equal(speakers.body.items.length, 2);
+    assert.ok(speakers.body.items.every(s => s.title !== 'Chief economist'));
+});
+
+test('re-importing the export changes nothing', async () => {
+    const exported = await owner.get('/api/speakers/export');
+    const res = await owner.post('/api/speakers/import', exported.body, csv);
+    assert.deepEqual(res.body.summary, { rows: 2, create: 0, update: 0, unchanged: 2, error: 0 });
+});
+
+test('rows with errors block the whole import', async () => {
+    const body = 'id,name\r\n999,Ghost\r\n,Someone New\r\n';
+    const dryRun = await owner.post('/api/speakers/import', body, csv);
+    assert.equal(dryRun.body.summary.error, 1);
+    assert.equal(dryRun.body.rows[0].errors.id, 'No speaker with id 999');
+
+    const applied = await owner.post('/api/speakers/import?apply=true', body, {
+        headers: { ...csv.headers, 'If-Match': dryRun.headers.get('etag') }
+    });
+    assert.equal(applied.status, 400);
+    const speakers = await owner.get('/api/speakers?limit=100');
+    assert.ok(!speakers.body.items.some(s => s.name === 'Someone New'));
+
+    assert.equal((await owner.post('/api/speakers/import', 'name,shoeSize\r\nA,42\r\n', csv)).status, 400);
+    assert.equal((await owner.post('/api/speakers/import', 'name\r\n"open quote\r\n', csv)).status, 400);
+    assert.equal((await owner.post('/api/speakers/import', { name: 'Not an array' })).status, 400);
+});
+
+test('applying needs the dry run ETag and writes every row', async () => {
+    const records = [{ name: 'Hélène Tremblay', title: 'Chief economist' }, { name: 'Lucie Roy', topics: ['Health'] }];
+    assert.equal((await owner.post('/api/speakers/import?apply=true', records)).status, 428);
+
+    const dryRun = await owner.post('/api/speakers/import', records);
+    await owner.post('/api/speakers', { name: 'Late Arrival' });
+    const stale = await owner.post('/api/speakers/import?apply=true', records, { headers: { 'If-Match': dryRun.headers.get('etag') } });
+    assert.equal(stale.status, 409);
+
+    const fresh = await owner.post('/api/speakers/import', records);
+    const applied = await owner.post('/api/speakers/import?apply=true', records, { headers: { 'If-Match': fresh.headers.get('etag') } });
+    assert.equal(applied.status, 200);
+    assert.equal(applied.body.dryRun, false);
+    const created = applied.body.rows.find(r => r.action === 'create');
+    assert.ok(created.id);
+
+    const lucie = await owner.get(`/api/admin/speakers/${created.id}`);
+    assert.deepEqual(lucie.body.topics, ['Health']);
+    const revisions = await owner.get(`/api/speakers/${created.id}/revisions`);
+    assert.deepEqual(revisions.body.map(r => r.action), ['create']);
+});
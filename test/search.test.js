@@ -0,0 +1,71 @@
+// Public speaker search: accent-insensitive matching across languages, topic facets and paging
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let visitor;
+
+before(async () => {
+    server = await startServer();
+    const owner = server.client();
+    await owner.loginAsOwner();
+    // Speakers can only be tagged with registered topics
+    const topics = [['Education', 'Éducation'], ['Computing', 'Informatique'], ['Leadership', 'Leadership'], ['Science', 'Science']];
+    for (const [en, fr] of topics) {
+        assert.equal((await owner.post('/api/topics', { labels: { en, fr } })).status, 201);
+    }
+    const roster = [
+        { name: 'Ada Lovelace', topics: ['Education', 'Computing'], topics_fr: ['Éducation', 'Informatique'] },
+        { name: 'Grace Hopper', topics: ['Computing', 'Leadership'], topics_fr: ['Informatique', 'Leadership'] },
+        { name: 'Marie Curie', bio_fr: 'Pionnière de la radioactivité', topics: ['Science'], topics_fr: ['Science'] },
+        { name: 'Émilie du Châtelet', topics: ['Science', 'Education'], topics_fr: ['Science', 'Éducation'] }
+    ];
+    for (const speaker of roster) {
+        const res = await owner.post('/api/speakers', { status: 'published', ...speaker });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+    }
+    visitor = server.client();
+});
+
+after(() => server && server.stop());
+
+const names = res => res.body.items.map(s => s.name);
+
+test('search is case- and accent-insensitive and covers the French fields', async () => {
+    assert.deepEqual(names(await visitor.get('/api/speakers?q=EDUC')), ['Ada Lovelace', 'Émilie du Châtelet']);
+    assert.deepEqual(names(await visitor.get('/api/speakers?q=emilie')), ['Émilie du Châtelet']);
+    assert.deepEqual(names(await visitor.get('/api/speakers?q=radioactivite')), ['Marie Curie']);
+    assert.equal((await visitor.get('/api/speakers?q=grace%20computing')).body.total, 1);
+});
+
+test('topic filters are repeatable and facets count the search results', async () => {
+    const res = await visitor.get('/api/speakers?topic=science&topic=leadership');
+    assert.deepEqual(names(res), ['Émilie du Châtelet', 'Grace Hopper', 'Marie Curie']);
+
+    const facets = Object.fromEntries(res.body.facets.topics.map(f => [f.topic, f.count]));
+    assert.deepEqual(facets, { Computing: 2, Education: 2, Science: 2, Leadership: 1 });
+
+    const french = await visitor.get('/api/speakers?lang=fr&topic=education');
+    assert.equal(french.body.total, 2);
+    assert.ok(french.body.facets.topics.some(f => f.topic === 'Éducation'));
+});
+
+test('pages carry totals and follow the requested sort', async () => {
+    const first = await visitor.get('/api/speakers?limit=3&sort=-name');
+    assert.equal(first.body.total, 4);
+    assert.equal(first.body.pages, 2);
+    assert.deepEqual(names(first), ['Marie Curie', 'Grace Hopper', 'Émilie du Châtelet']);
+
+    const second = await visitor.get('/api/speakers?limit=3&page=2&sort=-name');
+    assert.deepEqual(names(second), ['Ada Lovelace']);
+
+    const newest = await visitor.get('/api/speakers?sort=newest&limit=1');
+    assert.deepEqual(names(newest), ['Émilie du Châtelet']);
+});
+
+test('invalid query parameters are reported per field', async () => {
+    const res = await visitor.get('/api/speakers?lang=de&page=0&limit=500&sort=rating');
+    assert.equal(res.status, 400);
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['lang', 'limit', 'page', 'sort']);
+});
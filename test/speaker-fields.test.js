@@ -0,0 +1,130 @@
+// Internal booking fields: kept off public routes and webhook payloads, with a derived fee band for visitors
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+let visitor;
+let receiver;
+const received = [];
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    // The webhook receiver runs on this machine
+    server = await startServer({ env: { WEBHOOK_ALLOW_PRIVATE: 'true' } });
+    owner = server.client();
+    visitor = server.client();
+    await owner.loginAsOwner();
+});
+
+after(async () => {
+    if (server) await server.stop();
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+const INTERNAL = ['feeMin', 'feeMax', 'travelRequirements', 'agentName', 'agentEmail', 'agentPhone', 'internalNotes', 'status', 'publishAt', 'unpublishAt'];
+
+const booking = {
+    feeMin: 12000,
+    feeMax: 18000,
+    travelRequirements: 'Business class over 4 hours',
+    agentName: 'Sam Agent',
+    agentEmail: 'sam@agency.example',
+    agentPhone: '+1 555 0100',
+    internalNotes: 'Prefers morning slots'
+};
+
+async function createSpeaker(fields) {
+    const res = await owner.post('/api/speakers', { status: 'published', ...fields });
+    assert.equal(res.status, 201);
+    return res;
+}
+
+function assertPublic(speaker) {
+    for (const key of INTERNAL) assert.equal(speaker[key], undefined, key);
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+test('public routes return only public fields and the fee band', async () => {
+    const created = await createSpeaker({ name: 'Grace Hopper', ...booking });
+    const { id } = created.body;
+
+    const detail = await visitor.get(`/api/speakers/${id}`);
+    assertPublic(detail.body);
+    assert.equal(detail.body.name, 'Grace Hopper');
+    assert.equal(detail.body.feeBand, '$$');
+
+    assertPublic((await visitor.get(`/api/speakers/${id}?lang=fr`)).body);
+    const list = await visitor.get('/api/speakers?limit=100');
+    assertPublic(list.body.items.find(s => s.id === id));
+    assert.doesNotMatch((await visitor.get(`/speakers/${created.body.slug}`)).body, /sam@agency\.example|Prefers morning/);
+
+    const admin = await owner.get(`/api/admin/speakers/${id}`);
+    assert.equal(admin.body.agentEmail, 'sam@agency.example');
+    assert.equal(admin.body.internalNotes, 'Prefers morning slots');
+});
+
+test('speakers can be filtered by fee band', async () => {
+    await createSpeaker({ name: 'Budget Bea', feeMin: 3000 });
+    await createSpeaker({ name: 'Premium Pia', feeMax: 40000 });
+
+    const cheap = await visitor.get('/api/speakers?feeBand=$&limit=100');
+    assert.deepEqual(cheap.body.items.map(s => s.name), ['Budget Bea']);
+    const both = await visitor.get(`/api/speakers?feeBand=${encodeURIComponent('$$')}&feeBand=${encodeURIComponent('$$$')}&limit=100`);
+    assert.deepEqual(both.body.items.map(s => s.name).sort(), ['Grace Hopper', 'Premium Pia']);
+    assert.ok(cheap.body.facets.feeBands.some(({ band, count }) => band === '$' && count === 1));
+
+    const bad = await visitor.get('/api/speakers?feeBand=cheap');
+    assert.equal(bad.status, 400);
+    assert.ok(bad.body.fields.feeBand);
+});
+
+test('booking fields are validated', async () => {
+    const backwards = await owner.post('/api/speakers', { name: 'Backwards', feeMin: 5000, feeMax: 1000 });
+    assert.equal(backwards.status, 400);
+    assert.ok(backwards.body.fields.feeMax);
+
+    const invalid = await owner.post('/api/speakers', { name: 'Invalid', feeMin: 'a lot', agentEmail: 'not-an-email' });
+    assert.ok(invalid.body.fields.feeMin);
+    assert.ok(invalid.body.fields.agentEmail);
+    assert.ok((await owner.post('/api/speakers', { name: 'Negative', feeMin: -1 })).body.fields.feeMin);
+});
+
+test('webhook payloads carry the public projection of the speaker', async () => {
+    const hook = await owner.post('/api/webhooks', { url: `http://127.0.0.1:${receiver.address().port}/hooks`, events: ['speaker.created', 'speaker.updated'] });
+    assert.equal(hook.status, 201);
+
+    const created = await createSpeaker({ name: 'Katherine Johnson', ...booking });
+    const updated = await owner.put(`/api/speakers/${created.body.id}`, { internalNotes: 'Booked twice' }, { headers: { 'If-Match': created.headers.get('etag') } });
+    assert.equal(updated.status, 200);
+
+    const events = await waitFor(() => received.length >= 2 && received);
+    assert.deepEqual(events.map(e => e.event), ['speaker.created', 'speaker.updated']);
+    for (const { data } of events) {
+        for (const speaker of [data.before, data.after].filter(Boolean)) {
+            assertPublic(speaker);
+            assert.equal(speaker.name, 'Katherine Johnson');
+            assert.equal(speaker.feeBand, '$$');
+        }
+    }
+});
@@ -0,0 +1,101 @@
+// The SQLite storage backend and the JSON → SQLite migration command
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+const { createSqliteStorage } = require('../storage/sqlite');
+
+const MIGRATE = path.join(__dirname, '..', 'scripts', 'migrate-json-to-sqlite.js');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer({ env: { STORAGE_DRIVER: 'sqlite' } });
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+const version = res => ({ headers: { 'If-Match': res.headers.get('etag') } });
+
+test('speakers are stored in the database and found by id and slug', async () => {
+    const created = await owner.post('/api/speakers', { name: 'Chloé Bouchard', title: 'Architect', status: 'published' });
+    assert.equal(created.status, 201);
+    const updated = await owner.put(`/api/speakers/${created.body.id}`, { title: 'Urbanist' }, version(created));
+    assert.equal(updated.status, 200);
+
+    const fetched = await owner.get(`/api/admin/speakers/${created.body.id}`);
+    assert.equal(fetched.body.title, 'Urbanist');
+    assert.equal(fetched.headers.get('etag'), updated.headers.get('etag'));
+
+    const profile = await server.client().get(`/speakers/${created.body.slug}`);
+    assert.equal(profile.status, 200);
+    assert.match(profile.body, /Chloé Bouchard/);
+
+    const files = await fs.readdir(path.join(server.dir, 'data'));
+    assert.ok(files.includes('facettes.db'));
+    assert.ok(!files.includes('speakers.json'));
+});
+
+test('content updates merge per locale in the database too', async () => {
+    const current = await owner.get('/api/content');
+    assert.equal((await owner.put('/api/content', { en: { heroTitle: 'Hello' } }, version(current))).status, 200);
+    const next = await owner.get('/api/content');
+    assert.equal((await owner.put('/api/content', { fr: { heroTitle: 'Bonjour' } }, version(next))).status, 200);
+
+    const content = await owner.get('/api/content');
+    assert.equal(content.body.en.heroTitle, 'Hello');
+    assert.equal(content.body.fr.heroTitle, 'Bonjour');
+});
+
+test('the last owner is counted from the users table', async () => {
+    const users = await owner.get('/api/users');
+    const admin = users.body.find(u => u.username === 'admin');
+    const demote = await owner.put('/api/users/admin/role', { role: 'editor' }, { headers: { 'If-Match': admin.etag } });
+    assert.equal(demote.status, 400);
+    assert.equal(demote.body.error, 'Cannot demote the last owner');
+
+    assert.equal((await owner.post('/api/users', { username: 'second', password: 'second-password', role: 'viewer' })).status, 201);
+    assert.equal((await owner.delete('/api/users/nobody', { headers: { 'If-Match': '*' } })).status, 404);
+    const second = (await owner.get('/api/users')).body.find(u => u.username === 'second');
+    const removed = await owner.delete('/api/users/second', { headers: { 'If-Match': second.etag } });
+    assert.equal(removed.status, 200);
+});
+
+test('the migration copies the JSON files into SQLite and refuses to overwrite without --force', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'facettes-migrate-'));
+    try {
+        await fs.mkdir(path.join(dir, 'data'));
+        const speakers = [{ id: 4, slug: 'ada-lovelace', name: 'Ada Lovelace' }, { id: 9, slug: 'alan-turing', name: 'Alan Turing' }];
+        const users = [{ username: 'admin', role: 'owner', passwordHash: 'x' }, { username: 'ed', role: 'editor', passwordHash: 'y' }];
+        await fs.writeFile(path.join(dir, 'data', 'speakers.json'), JSON.stringify(speakers));
+        await fs.writeFile(path.join(dir, 'data', 'content.json'), JSON.stringify({ en: { heroTitle: 'Hi' }, fr: {} }));
+        await fs.writeFile(path.join(dir, 'data', 'users.json'), JSON.stringify(users));
+
+        const run = (...args) => promisify(execFile)(process.execPath, [MIGRATE, ...args], { cwd: dir });
+        const { stdout } = await run();
+        assert.match(stdout, /Migrated 2 speakers, 2 content locales and 2 users/);
+        await assert.rejects(run(), /already has data/);
+
+        const storage = createSqliteStorage({ file: path.join(dir, 'data', 'facettes.db') });
+        await storage.init();
+        try {
+            assert.deepEqual((await storage.speakers.all()).map(s => s.id), [4, 9]);
+            assert.equal((await storage.speakers.getBySlug('alan-turing')).name, 'Alan Turing');
+            assert.equal((await storage.content.get()).en.heroTitle, 'Hi');
+            assert.equal(await storage.users.count(), 2);
+            assert.equal(await storage.users.count('owner'), 1);
+        } finally {
+            await storage.close();
+        }
+        await run('--force');
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,118 @@
+// Topic registry: merging re-tags speakers, keeps the old labels as synonyms and the old id as an alias
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+const version = topic => ({ headers: { 'If-Match': topic.etag } });
+
+async function createTopic(labels, synonyms = []) {
+    const res = await owner.post('/api/topics', { labels, synonyms });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+}
+
+async function createSpeaker(name, topicIds) {
+    const res = await owner.post('/api/speakers', { name, topicIds, status: 'published' });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+}
+
+test('merging a topic moves its speakers and vocabulary to the target', async () => {
+    const ai = await createTopic({ en: 'Artificial intelligence', fr: 'Intelligence artificielle' }, ['AI']);
+    const ml = await createTopic({ en: 'Machine learning', fr: 'Apprentissage automatique' });
+    const tagged = await createSpeaker('Alan Turing', [ml.id]);
+    const both = await createSpeaker('Fei-Fei Li', [ai.id, ml.id]);
+
+    const merged = await owner.post(`/api/topics/${ml.id}/merge`, { into: ai.id }, version(ml));
+    assert.equal(merged.status, 200, JSON.stringify(merged.body));
+    assert.equal(merged.body.id, ai.id);
+    assert.equal(merged.body.speakers, 2);
+    assert.equal(merged.body.retagged, 2);
+    assert.ok(merged.body.aliases.includes(ml.id));
+    for (const term of ['AI', 'Machine learning', 'Apprentissage automatique']) {
+        assert.ok(merged.body.synonyms.includes(term), `${term} is not a synonym`);
+    }
+
+    const ids = (await owner.get('/api/topics')).body.map(t => t.id);
+    assert.ok(ids.includes(ai.id) && !ids.includes(ml.id));
+
+    const speaker = (await owner.get(`/api/speakers/${tagged.id}`)).body;
+    assert.deepEqual(speaker.topicIds, [ai.id]);
+    assert.deepEqual(speaker.topics, ['Artificial intelligence']);
+    assert.deepEqual((await owner.get(`/api/speakers/${both.id}`)).body.topicIds, [ai.id]);
+});
+
+test('the merged id and labels still resolve to the target topic', async () => {
+    const design = await createTopic({ en: 'Design' });
+    const ux = await createTopic({ en: 'User experience' });
+    assert.equal((await owner.post(`/api/topics/${ux.id}/merge`, { into: design.id }, version(ux))).status, 200);
+
+    const byId = await createSpeaker('Don Norman', [ux.id]);
+    assert.deepEqual(byId.topicIds, [design.id]);
+
+    const byLabel = await owner.post('/api/speakers', { name: 'Jakob Nielsen', topics: ['User experience'], status: 'published' });
+    assert.equal(byLabel.status, 201, JSON.stringify(byLabel.body));
+    assert.deepEqual(byLabel.body.topicIds, [design.id]);
+});
+
+test('a merge is refused into itself, into an unknown topic or from a stale copy', async () => {
+    const climate = await createTopic({ en: 'Climate' });
+    const energy = await createTopic({ en: 'Energy' });
+
+    assert.equal((await owner.post(`/api/topics/${climate.id}/merge`, { into: climate.id }, version(climate))).status, 400);
+    assert.equal((await owner.post(`/api/topics/${climate.id}/merge`, { into: 'nope' }, version(climate))).status, 400);
+    assert.equal((await owner.post('/api/topics/nope/merge', { into: energy.id }, version(climate))).status, 404);
+    assert.equal((await owner.post(`/api/topics/${climate.id}/merge`, { into: energy.id })).status, 428);
+
+    const renamed = await owner.put(`/api/topics/${climate.id}`, { labels: { en: 'Climate change' } }, version(climate));
+    assert.equal(renamed.status, 200);
+    const stale = await owner.post(`/api/topics/${climate.id}/merge`, { into: energy.id }, version(climate));
+    assert.equal(stale.status, 409);
+    assert.ok((await owner.get('/api/topics')).body.some(t => t.id === climate.id));
+});
+
+test('a topic in use can only be retired by merging it', async () => {
+    const music = await createTopic({ en: 'Music' });
+    const arts = await createTopic({ en: 'Arts' });
+    await createSpeaker('Nina Simone', [music.id]);
+
+    const refused = await owner.delete(`/api/topics/${music.id}`, version(music));
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.speakers, 1);
+
+    const merged = await owner.post(`/api/topics/${music.id}/merge`, { into: arts.id }, version(music));
+    const stillUsed = await owner.delete(`/api/topics/${arts.id}`, version(merged.body));
+    assert.equal(stillUsed.status, 409);
+    assert.equal(stillUsed.body.speakers, 1);
+    const unused = await createTopic({ en: 'Gardening' });
+    assert.equal((await owner.delete(`/api/topics/${unused.id}`, version(unused))).status, 200);
+});
+
+test('related speakers share the most topics, live ones only, with the shared labels', async () => {
+    const oceans = await createTopic({ en: 'Oceans', fr: 'Océans' });
+    const polar = await createTopic({ en: 'Polar science', fr: 'Science polaire' });
+    const subject = await createSpeaker('Sylvia Earle', [oceans.id, polar.id]);
+    await createSpeaker('Jacques Cousteau', [oceans.id]);
+    await createSpeaker('Rachel Carson', [oceans.id, polar.id]);
+    await owner.post('/api/speakers', { name: 'Draft Diver', topicIds: [oceans.id, polar.id] });
+
+    const visitor = server.client();
+    const related = await visitor.get(`/api/speakers/${subject.id}/related?lang=fr`);
+    assert.equal(related.status, 200);
+    assert.deepEqual(related.body.items.map(s => s.name), ['Rachel Carson', 'Jacques Cousteau']);
+    assert.deepEqual(related.body.items[1].sharedTopics, [{ id: oceans.id, label: 'Océans' }]);
+
+    assert.equal((await visitor.get(`/api/speakers/${subject.id}/related?limit=1`)).body.items.length, 1);
+    assert.equal((await visitor.get(`/api/speakers/${subject.id}/related?limit=0`)).status, 400);
+});
@@ -0,0 +1,78 @@
+// Image uploads: content is sniffed, metadata stripped and resized variants returned
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+});
+
+after(() => server && server.stop());
+
+function imageForm(buffer, filename, type) {
+    const form = new FormData();
+    form.append('image', new Blob([buffer], { type }), filename);
+    return form;
+}
+
+// A camera-style JPEG: wider than the largest variant, with EXIF (including GPS) attached
+async function cameraJpeg() {
+    return sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#336699' } })
+        .withExif({ IFD0: { Make: 'TestCam', Model: 'X1' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '45/1 30/1 0/1' } })
+        .jpeg()
+        .toBuffer();
+}
+
+test('an upload returns every variant with its size, in WebP and a fallback format', async () => {
+    const res = await owner.post('/api/upload', imageForm(await cameraJpeg(), 'portrait.jpg', 'image/jpeg'));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(Object.keys(res.body.variants), ['thumbnail', 'card', 'full']);
+    assert.equal(res.body.url, res.body.variants.full.fallback);
+
+    const { thumbnail, full } = res.body.variants;
+    assert.deepEqual([thumbnail.width, thumbnail.height], [200, 100]);
+    assert.deepEqual([full.width, full.height], [1600, 800]);
+    assert.match(full.webp, /-full\.webp$/);
+    assert.equal(full.fallbackType, 'image/jpeg');
+});
+
+test('served variants carry no EXIF or GPS metadata', async () => {
+    const res = await owner.post('/api/upload', imageForm(await cameraJpeg(), 'portrait.jpg', 'image/jpeg'));
+    for (const url of [res.body.variants.card.webp, res.body.variants.card.fallback]) {
+        const served = await fetch(server.url + url);
+        assert.equal(served.status, 200);
+        const meta = await sharp(Buffer.from(await served.arrayBuffer())).metadata();
+        assert.equal(meta.exif, undefined, url);
+    }
+});
+
+test('transparent images fall back to PNG', async () => {
+    const png = await sharp({ create: { width: 300, height: 300, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer();
+    const res = await owner.post('/api/upload', imageForm(png, 'logo.png', 'image/png'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.variants.card.fallbackType, 'image/png');
+    // Never enlarged past the original
+    assert.equal(res.body.variants.full.width, 300);
+});
+
+test('a file is judged by its bytes, not its name or declared type', async () => {
+    const disguised = await owner.post('/api/upload', imageForm(Buffer.from('<?php echo "hi"; ?>'), 'photo.jpg', 'image/jpeg'));
+    assert.equal(disguised.status, 400);
+    assert.match(disguised.body.error, /not a JPEG, PNG, GIF or WebP/);
+
+    const wrongName = await owner.post('/api/upload', imageForm(await cameraJpeg(), 'notes.txt', 'text/plain'));
+    assert.equal(wrongName.status, 400);
+
+    assert.equal((await owner.post('/api/upload', new FormData())).status, 400);
+});
+
+test('uploads need write access', async () => {
+    const res = await server.client().post('/api/upload', imageForm(await cameraJpeg(), 'portrait.jpg', 'image/jpeg'));
+    assert.equal(res.status, 401);
+});
@@ -0,0 +1,72 @@
+// Speaker and content payloads are checked against their schemas before anything is stored
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+let server;
+let owner;
+
+before(async () => {
+    server = await startServer();
+    owner = server.client();
+    await owner.loginAsOwner();
+    for (const en of ['Math', 'Computing']) await owner.post('/api/topics', { labels: { en } });
+});
+
+after(() => server && server.stop());
+
+test('a new speaker is trimmed and filled out to the full schema shape', async () => {
+    const created = await owner.post('/api/speakers', { name: '  Ada Lovelace ', topics: [' Math ', '', 'Computing'] });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.name, 'Ada Lovelace');
+    assert.deepEqual(created.body.topics, ['Math', 'Computing']);
+    assert.equal(created.body.bio_fr, '');
+    assert.deepEqual(created.body.keyTopics, []);
+});
+
+test('unknown fields, wrong types and oversized values are reported per field', async () => {
+    const res = await owner.post('/api/speakers', {
+        name: 'Grace Hopper',
+        nmae: 'typo',
+        topics: 'Navy, COBOL',
+        title: 'x'.repeat(301),
+        keyTopics: [42]
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Validation failed');
+    assert.deepEqual(Object.keys(res.body.fields).sort(), ['keyTopics', 'nmae', 'title', 'topics']);
+    assert.equal(res.body.fields.nmae, 'Unknown field');
+    assert.equal(res.body.fields.topics, 'Must be a list');
+
+    const speakers = await owner.get('/api/speakers?limit=100');
+    assert.ok(!speakers.body.items.some(s => s.name === 'Grace Hopper'));
+});
+
+test('an update only touches the fields it sends and keeps the id', async () => {
+    const created = await owner.post('/api/speakers', { name: 'Katherine Johnson', title: 'Mathematician', status: 'published' });
+    const updated = await owner.put(`/api/speakers/${created.body.id}`, { id: 999, bio: ' Computed trajectories. ' },
+        { headers: { 'If-Match': created.headers.get('etag') } });
+    assert.equal(updated.status, 200, JSON.stringify(updated.body));
+
+    const stored = await owner.get(`/api/speakers/${created.body.id}`);
+    assert.equal(stored.body.id, created.body.id);
+    assert.equal(stored.body.title, 'Mathematician');
+    assert.equal(stored.body.bio, 'Computed trajectories.');
+
+    const invalid = await owner.put(`/api/speakers/${created.body.id}`, { image: { url: 'x' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.fields.image, 'Must be a string');
+});
+
+test('content is limited to the known languages and keys', async () => {
+    const loaded = await owner.get('/api/content');
+    const version = { headers: { 'If-Match': loaded.headers.get('etag') } };
+    const invalid = await owner.put('/api/content', { en: { heroTitle: 'Hi', heroTitel: 'typo' }, de: {} }, version);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.fields, { 'en.heroTitel': 'Unknown field', de: 'Unknown language' });
+
+    const valid = await owner.put('/api/content', { en: { heroTitle: '  Find a speaker ' }, fr: {} }, version);
+    assert.equal(valid.status, 200);
+    const content = await owner.get('/api/content');
+    assert.equal(content.body.en.heroTitle, 'Find a speaker');
+});
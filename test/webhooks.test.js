@@ -0,0 +1,157 @@
+// Outbound webhooks: private-address guard, signed deliveries, the delivery log and redelivery
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startServer } = require('./helpers/server');
+
+let guarded;
+let open;
+let receiver;
+let received = [];
+let replyStatus = 200;
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(replyStatus, { 'Content-Type': 'text/plain' });
+            res.end(replyStatus === 200 ? 'thanks' : 'stack trace with internal details');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    guarded = await startServer();
+    // The receiver runs on this machine, so this server is allowed to reach it
+    open = await startServer({ env: { WEBHOOK_ALLOW_PRIVATE: 'true' } });
+    guarded.owner = guarded.client();
+    open.owner = open.client();
+    await guarded.owner.loginAsOwner();
+    await open.owner.loginAsOwner();
+});
+
+after(async () => {
+    await Promise.all([guarded && guarded.stop(), open && open.stop()]);
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+}
+
+async function deliveryFor(client, event) {
+    return waitFor(async () => {
+        const log = await client.get(`/api/webhooks/deliveries?event=${event}`);
+        const item = log.body.items.find(d => d.attempts.length);
+        return item && (await client.get(`/api/webhooks/deliveries/${item.id}`)).body;
+    });
+}
+
+test('webhook URLs on loopback, private or link-local addresses are refused', async () => {
+    const urls = [
+        'http://127.0.0.1/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/hook',
+        'http://172.20.1.1/hook', 'http://192.168.1.10/hook', 'http://[::1]:8080/hook',
+        'http://[fe80::1]/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://0.0.0.0/hook', 'ftp://example.com/hook'
+    ];
+    for (const url of urls) {
+        const res = await guarded.owner.post('/api/webhooks', { url, events: ['*'] });
+        assert.equal(res.status, 400, url);
+        assert.ok(res.body.fields.url, url);
+    }
+    const ok = await guarded.owner.post('/api/webhooks', { url: 'https://hooks.example.com/facettes', events: ['speaker.created'] });
+    assert.equal(ok.status, 201);
+    assert.match(ok.body.secret, /^whsec_/);
+    assert.equal((await guarded.client().get('/api/webhooks')).status, 401);
+});
+
+test('host names are checked again after DNS resolution', async () => {
+    const hook = await guarded.owner.post('/api/webhooks', { url: `http://localhost:${receiver.address().port}/hooks`, events: ['content.updated'] });
+    assert.equal(hook.status, 201);
+    const before = received.length;
+
+    assert.equal((await guarded.owner.post(`/api/webhooks/${hook.body.id}/ping`, {})).status, 202);
+    const delivery = await deliveryFor(guarded.owner, 'ping');
+    assert.equal(delivery.attempts[0].ok, false);
+    assert.match(delivery.attempts[0].error, /resolves to a private address/);
+    assert.equal(received.length, before);
+});
+
+test('deliveries are signed and the log keeps only status and timing', async () => {
+    const hook = await open.owner.post('/api/webhooks', { url: receiverUrl(), events: ['speaker.created'] });
+    assert.equal(hook.status, 201);
+    received = [];
+
+    const speaker = await open.owner.post('/api/speakers', { name: 'Ada Lovelace' });
+    const request = await waitFor(() => received[0]);
+    assert.equal(request.headers['x-facettes-event'], 'speaker.created');
+
+    const [, timestamp, signature] = request.headers['x-facettes-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac('sha256', hook.body.secret).update(`${timestamp}.${request.body}`).digest('hex');
+    assert.equal(signature, expected);
+
+    const payload = JSON.parse(request.body);
+    assert.equal(payload.event, 'speaker.created');
+    assert.equal(payload.actor, 'admin');
+    assert.equal(payload.data.id, speaker.body.id);
+
+    const delivery = await deliveryFor(open.owner, 'speaker.created');
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts[0].statusCode, 200);
+    assert.equal(typeof delivery.attempts[0].durationMs, 'number');
+    assert.ok(!JSON.stringify(delivery).includes('thanks'));
+});
+
+test('failed deliveries record the status but not what the receiver said', async () => {
+    const hook = await open.owner.post('/api/webhooks', { url: receiverUrl(), events: ['content.updated'] });
+    replyStatus = 500;
+    try {
+        await open.owner.post(`/api/webhooks/${hook.body.id}/ping`, {});
+        const delivery = await waitFor(async () => {
+            const log = await open.owner.get(`/api/webhooks/deliveries?webhook=${hook.body.id}`);
+            return log.body.items.find(d => d.attempts.length);
+        });
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.attempts[0].error, 'HTTP 500');
+        assert.ok(delivery.nextAttemptAt);
+        assert.ok(!JSON.stringify(delivery).includes('stack trace'));
+    } finally {
+        replyStatus = 200;
+    }
+});
+
+test('rotating the secret changes the signature; redelivery resends the same event', async () => {
+    const hook = await open.owner.post('/api/webhooks', { url: receiverUrl(), events: ['content.updated'] });
+    assert.equal((await open.owner.put(`/api/webhooks/${hook.body.id}`, { description: 'CRM' })).status, 428);
+    const updated = await open.owner.put(`/api/webhooks/${hook.body.id}`, { description: 'CRM' }, { headers: { 'If-Match': hook.body.etag } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.secret, undefined);
+
+    const rotated = await open.owner.post(`/api/webhooks/${hook.body.id}/rotate-secret`, {});
+    assert.notEqual(rotated.body.secret, hook.body.secret);
+
+    received = [];
+    await open.owner.post(`/api/webhooks/${hook.body.id}/ping`, {});
+    const first = await waitFor(() => received[0]);
+    const [, timestamp, signature] = first.headers['x-facettes-signature'].match(/^t=(\d+),v1=(\w+)$/);
+    assert.equal(signature, crypto.createHmac('sha256', rotated.body.secret).update(`${timestamp}.${first.body}`).digest('hex'));
+
+    const log = await waitFor(async () => {
+        const res = await open.owner.get(`/api/webhooks/deliveries?webhook=${hook.body.id}&status=delivered`);
+        return res.body.items[0];
+    });
+    const again = await open.owner.post(`/api/webhooks/deliveries/${log.id}/redeliver`, {});
+    assert.equal(again.status, 202);
+    assert.equal(again.body.redeliveryOf, log.id);
+    const second = await waitFor(() => received[1]);
+    assert.equal(JSON.parse(second.body).id, JSON.parse(first.body).id);
+});